@@ -0,0 +1,111 @@
+// LiteCall end-to-end media encryption - runs the encoded transforms script.js sets up on every
+// sender (encrypt) and receiver (decrypt). The key is derived in script.js from the secret in the
+// room link's #fragment, so neither the signaling server nor a TURN relay can read the frames.
+//
+// Frame layout: [header, in the clear][AES-GCM ciphertext + tag][IV, 12 bytes]
+// The header stays readable because the RTP packetizer needs it (VP8 payload header, Opus TOC byte);
+// it's authenticated as additional data, so it can't be altered either.
+"use strict";
+
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+// Bytes left in the clear: VP8 key frames 10, VP8 delta frames 3, audio frames (no type) 1
+const CLEAR_BYTES = { key: 10, delta: 3 };
+const AUDIO_CLEAR_BYTES = 1;
+const STATS_INTERVAL = 1000;
+
+let key = null; // CryptoKey (AES-GCM) - frames are dropped until it arrives, never sent in the clear
+let stats = { encrypted: 0, decrypted: 0, failed: 0 };
+
+function getClearLength(frame, length) {
+  const clear = frame.type in CLEAR_BYTES ? CLEAR_BYTES[frame.type] : AUDIO_CLEAR_BYTES;
+  return Math.min(clear, length);
+}
+
+async function encryptFrame(frame, controller) {
+  const data = new Uint8Array(frame.data);
+  if (data.length === 0) {
+    controller.enqueue(frame);
+    return;
+  }
+  if (!key) return;
+  const clearLength = getClearLength(frame, data.length);
+  const header = data.subarray(0, clearLength);
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv, additionalData: header },
+    key,
+    data.subarray(clearLength)
+  ));
+  const output = new Uint8Array(clearLength + ciphertext.length + IV_LENGTH);
+  output.set(header);
+  output.set(ciphertext, clearLength);
+  output.set(iv, clearLength + ciphertext.length);
+  frame.data = output.buffer;
+  stats.encrypted++;
+  controller.enqueue(frame);
+}
+
+async function decryptFrame(frame, controller) {
+  const data = new Uint8Array(frame.data);
+  if (data.length === 0) {
+    controller.enqueue(frame);
+    return;
+  }
+  if (!key) return;
+  const clearLength = getClearLength(frame, data.length);
+  // Too short to hold a tag and an IV - sent in the clear or with another scheme
+  if (data.length < clearLength + TAG_LENGTH + IV_LENGTH) {
+    stats.failed++;
+    return;
+  }
+  const header = data.subarray(0, clearLength);
+  const iv = data.subarray(data.length - IV_LENGTH);
+  let plaintext;
+  try {
+    plaintext = new Uint8Array(await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv, additionalData: header },
+      key,
+      data.subarray(clearLength, data.length - IV_LENGTH)
+    ));
+  } catch (err) {
+    // Wrong key (different link) or tampered frame - drop it rather than feed garbage to the decoder
+    stats.failed++;
+    return;
+  }
+  const output = new Uint8Array(clearLength + plaintext.length);
+  output.set(header);
+  output.set(plaintext, clearLength);
+  frame.data = output.buffer;
+  stats.decrypted++;
+  controller.enqueue(frame);
+}
+
+function runTransform(readable, writable, operation) {
+  const transform = operation === "encrypt" ? encryptFrame : decryptFrame;
+  readable
+    .pipeThrough(new TransformStream({ transform }))
+    .pipeTo(writable)
+    .catch(() => {}); // The sender/receiver went away with its connection
+}
+
+// RTCRtpScriptTransform (Safari, Firefox, recent Chrome)
+self.onrtctransform = (event) => {
+  const { readable, writable, options } = event.transformer;
+  runTransform(readable, writable, options.operation);
+};
+
+// Messages from script.js: the key, and encoded streams of the older Chrome API (createEncodedStreams)
+self.onmessage = ({ data }) => {
+  if (data.type === "key") {
+    key = data.key;
+  } else if (data.type === "transform") {
+    runTransform(data.readable, data.writable, data.operation);
+  }
+};
+
+// Counters for the indicator in room.html
+setInterval(() => {
+  self.postMessage({ type: "stats", ...stats });
+  stats = { encrypted: 0, decrypted: 0, failed: 0 };
+}, STATS_INTERVAL);
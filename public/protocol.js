@@ -0,0 +1,312 @@
+// LiteCall signaling protocol - shared by the server (server.js) and the browser (script.js)
+// Every WebSocket message is a JSON object with a "type". Only the types described here are accepted,
+// only with the fields described here, and only within the size bounds below.
+// Loaded as a plain <script> in the browser (window.LiteCallProtocol) and imported by the server.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LiteCallProtocol = factory();
+  }
+})(typeof globalThis !== "undefined" ? globalThis : this, function () {
+  "use strict";
+
+  // Size bounds
+  const MAX_MESSAGE_LENGTH = 10000; // Whole message, as JSON text
+  const MAX_SDP_LENGTH = 64 * 1024;
+  const MAX_CANDIDATE_LENGTH = 1024;
+  const MAX_PASSCODE_LENGTH = 64;
+  const MAX_KNOCK_NAME_LENGTH = 40;
+  // A sealed signal is the JSON of an offer/answer/candidate, encrypted (+16 byte tag) and base64 encoded
+  const MAX_SEALED_LENGTH = Math.ceil((MAX_SDP_LENGTH + 1024) / 3) * 4;
+
+  // Transport: messages longer than PACK_THRESHOLD (big offers) are compressed and, if still too long
+  // for one frame, split into "packed" frames the receiver reassembles. Every frame stays under
+  // MAX_MESSAGE_LENGTH, and the reassembled message under MAX_UNPACKED_LENGTH.
+  const PACK_THRESHOLD = 4096;
+  const MAX_CHUNK_LENGTH = 8000; // base64 characters per frame
+  const MAX_CHUNKS = 24;
+  const MAX_UNPACKED_LENGTH = 128 * 1024;
+  const PACK_ENCODINGS = ["deflate-raw", "none"];
+
+  const PEER_ID_PATTERN = /^[0-9a-f]{8}$/; // Server-issued peer ids (4 random bytes, hex)
+  const KNOCK_ID_PATTERN = /^[0-9a-f]{8}$/;
+  const PACK_ID_PATTERN = /^[0-9a-z]{1,16}$/;
+  const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+  // ====== Field validators ======
+  // Each validator returns the (normalized) value, or INVALID
+  const INVALID = Symbol("invalid");
+
+  function string(min, max, pattern) {
+    return (value) => {
+      if (typeof value !== "string" || value.length < min || value.length > max) return INVALID;
+      if (pattern && !pattern.test(value)) return INVALID;
+      return value;
+    };
+  }
+
+  function integer(min, max) {
+    return (value) => (Number.isInteger(value) && value >= min && value <= max ? value : INVALID);
+  }
+
+  function boolean(value) {
+    return typeof value === "boolean" ? value : INVALID;
+  }
+
+  function oneOf(values) {
+    return (value) => (values.includes(value) ? value : INVALID);
+  }
+
+  // May be missing (dropped from the result) or null
+  function optional(validator) {
+    return (value) => (value === undefined || value === null ? value : validator(value));
+  }
+
+  // Nested object - unknown keys make it invalid
+  function object(fields) {
+    return (value) => {
+      if (!value || typeof value !== "object" || Array.isArray(value)) return INVALID;
+      const result = validateFields(fields, value, []);
+      return result.ok ? result.fields : INVALID;
+    };
+  }
+
+  function validateFields(fields, value, allowedExtraKeys) {
+    for (const key of Object.keys(value)) {
+      if (!(key in fields) && !allowedExtraKeys.includes(key)) {
+        return { ok: false, error: `unexpected field "${key}"` };
+      }
+    }
+    const result = {};
+    for (const key of Object.keys(fields)) {
+      const fieldValue = fields[key](value[key]);
+      if (fieldValue === INVALID) {
+        return { ok: false, error: `invalid field "${key}"` };
+      }
+      if (fieldValue !== undefined) {
+        result[key] = fieldValue;
+      }
+    }
+    return { ok: true, fields: result };
+  }
+
+  // ====== Message types ======
+
+  const GENERATION = integer(1, Number.MAX_SAFE_INTEGER); // Peer connection generation of the sender
+  const SEQ = integer(1, Number.MAX_SAFE_INTEGER); // Position in the recipient's mailbox
+
+  // WebRTC signals (RTCSessionDescription / RTCIceCandidate JSON) - relayed to exactly one peer, addressed by "to"
+  // Every signal carries the "generation" of the sender's peer connection (increases with every new
+  // connection), so signals of a superseded negotiation can be discarded on the way
+  const SIGNAL_TYPES = {
+    offer: { sdp: string(1, MAX_SDP_LENGTH) },
+    answer: { sdp: string(1, MAX_SDP_LENGTH) },
+    candidate: {
+      candidate: object({
+        candidate: string(0, MAX_CANDIDATE_LENGTH), // Empty = end of candidates
+        sdpMLineIndex: optional(integer(0, 1023)),
+        sdpMid: optional(string(0, 64)),
+        usernameFragment: optional(string(0, 256))
+      })
+    },
+    // End-to-end sealed offer/answer/candidate (links with a #key) - AES-GCM, opaque to the server
+    sealed: {
+      iv: string(16, 16, BASE64_PATTERN), // 12 bytes
+      data: string(1, MAX_SEALED_LENGTH, BASE64_PATTERN),
+      counter: integer(1, Number.MAX_SAFE_INTEGER) // Increases with every signal to the same peer (replay protection)
+    }
+  };
+
+  // App-level messages handled by the server itself - never relayed
+  const APP_TYPES = {
+    ping: {}, // Client heartbeat
+    passcode: { passcode: string(1, MAX_PASSCODE_LENGTH) }, // Answer to the passcode challenge
+    "set-passcode": { passcode: string(1, MAX_PASSCODE_LENGTH) }, // Host protects the room
+    knock: { name: string(0, MAX_KNOCK_NAME_LENGTH) }, // Ask the host to be let in
+    "set-lobby": { enabled: boolean }, // Host turns the lobby on/off
+    admit: { knockId: string(8, 8, KNOCK_ID_PATTERN) },
+    deny: { knockId: string(8, 8, KNOCK_ID_PATTERN) },
+    kick: { peerId: string(8, 8, PEER_ID_PATTERN) }, // Host removes a participant
+    "media-state": { flowing: boolean }, // Whether we receive media (idle room detection)
+    ack: { seq: SEQ } // Signals up to this mailbox seq were received
+  };
+
+  // One frame of a packed message - handled by the transport layer on both ends, never relayed as is
+  const PACKED_FRAME = {
+    id: string(1, 16, PACK_ID_PATTERN),
+    index: integer(0, MAX_CHUNKS - 1),
+    total: integer(1, MAX_CHUNKS),
+    encoding: oneOf(PACK_ENCODINGS),
+    data: string(1, MAX_CHUNK_LENGTH, BASE64_PATTERN)
+  };
+
+  function isSignalType(type) {
+    return Object.prototype.hasOwnProperty.call(SIGNAL_TYPES, type);
+  }
+
+  function isAppType(type) {
+    return Object.prototype.hasOwnProperty.call(APP_TYPES, type);
+  }
+
+  function validateMessage(message, fields, envelope) {
+    const envelopeKeys = Object.keys(envelope);
+    const result = validateFields(fields, message, ["type", ...envelopeKeys]);
+    if (!result.ok) return result;
+    for (const key of envelopeKeys) {
+      if (envelope[key](message[key]) === INVALID) {
+        return { ok: false, error: `invalid field "${key}"` };
+      }
+    }
+    const normalized = { type: message.type, ...result.fields };
+    envelopeKeys.forEach((key) => {
+      normalized[key] = message[key];
+    });
+    return { ok: true, message: normalized };
+  }
+
+  function checkType(message) {
+    if (!message || typeof message !== "object" || Array.isArray(message)) {
+      return "not an object";
+    }
+    if (typeof message.type !== "string") {
+      return "missing type";
+    }
+    return null;
+  }
+
+  // A message the browser sent to the server
+  // Returns { ok: true, message } with only the known fields, or { ok: false, error }
+  function validateClientMessage(message) {
+    const error = checkType(message);
+    if (error) return { ok: false, error };
+    if (isSignalType(message.type)) {
+      return validateMessage(message, SIGNAL_TYPES[message.type], {
+        to: string(8, 8, PEER_ID_PATTERN),
+        generation: GENERATION
+      });
+    }
+    if (isAppType(message.type)) {
+      return validateMessage(message, APP_TYPES[message.type], {});
+    }
+    if (message.type === "packed") {
+      return validatePackedFrame(message);
+    }
+    return { ok: false, error: `unknown type "${message.type}"` };
+  }
+
+  function validatePackedFrame(message) {
+    const error = checkType(message);
+    if (error) return { ok: false, error };
+    if (message.type !== "packed") {
+      return { ok: false, error: `unknown type "${message.type}"` };
+    }
+    const result = validateMessage(message, PACKED_FRAME, {});
+    if (result.ok && result.message.index >= result.message.total) {
+      return { ok: false, error: "invalid field \"index\"" };
+    }
+    return result;
+  }
+
+  // Split an encoded (base64) message into packed frames, or null if it's too large to send
+  function splitPacked(id, encoding, data) {
+    const total = Math.ceil(data.length / MAX_CHUNK_LENGTH);
+    if (total < 1 || total > MAX_CHUNKS) return null;
+    const frames = [];
+    for (let index = 0; index < total; index++) {
+      frames.push({
+        type: "packed",
+        id,
+        index,
+        total,
+        encoding,
+        data: data.slice(index * MAX_CHUNK_LENGTH, (index + 1) * MAX_CHUNK_LENGTH)
+      });
+    }
+    return frames;
+  }
+
+  // Reassembles packed frames (already validated) - one message at a time, since a sender
+  // never interleaves the frames of two messages
+  // add() returns { done: false }, { done: true, encoding, data } or { error }
+  // A new message starting while another is incomplete drops the old one (the sender gave up on it)
+  function createUnpacker() {
+    let current = null;
+    return {
+      add(frame) {
+        if (frame.index === 0) {
+          current = { id: frame.id, total: frame.total, encoding: frame.encoding, parts: [] };
+        } else if (!current || current.id !== frame.id || current.parts.length !== frame.index ||
+          current.total !== frame.total || current.encoding !== frame.encoding) {
+          current = null;
+          return { error: `unexpected frame ${frame.index} of packed message ${frame.id}` };
+        }
+        current.parts.push(frame.data);
+        if (current.parts.length < current.total) {
+          return { done: false };
+        }
+        const { encoding, parts } = current;
+        current = null;
+        return { done: true, encoding, data: parts.join("") };
+      }
+    };
+  }
+
+  // A signal relayed by the server from another peer (stamped with "from" and its mailbox "seq")
+  function validateRelayedSignal(message) {
+    const error = checkType(message);
+    if (error) return { ok: false, error };
+    if (!isSignalType(message.type)) {
+      return { ok: false, error: `unknown type "${message.type}"` };
+    }
+    return validateMessage(message, SIGNAL_TYPES[message.type], {
+      from: string(8, 8, PEER_ID_PATTERN),
+      seq: SEQ,
+      generation: GENERATION
+    });
+  }
+
+  // A signal received straight from the other peer over the signaling data channel - the same
+  // message the sender would give the server, so it's addressed "to" us and has no "from" or "seq"
+  function validatePeerSignal(message) {
+    const error = checkType(message);
+    if (error) return { ok: false, error };
+    if (!isSignalType(message.type)) {
+      return { ok: false, error: `unknown type "${message.type}"` };
+    }
+    return validateMessage(message, SIGNAL_TYPES[message.type], {
+      to: string(8, 8, PEER_ID_PATTERN),
+      generation: GENERATION
+    });
+  }
+
+  // What a sealed signal contains once opened: an offer, answer or candidate without any envelope
+  // (the sender, recipient and generation are bound to it as additional authenticated data instead)
+  function validateSealedPayload(message) {
+    const error = checkType(message);
+    if (error) return { ok: false, error };
+    if (!isSignalType(message.type) || message.type === "sealed") {
+      return { ok: false, error: `unknown type "${message.type}"` };
+    }
+    return validateMessage(message, SIGNAL_TYPES[message.type], {});
+  }
+
+  return {
+    MAX_MESSAGE_LENGTH,
+    MAX_SDP_LENGTH,
+    MAX_PASSCODE_LENGTH,
+    MAX_KNOCK_NAME_LENGTH,
+    PACK_THRESHOLD,
+    PACK_ENCODINGS,
+    MAX_UNPACKED_LENGTH,
+    PEER_ID_PATTERN,
+    isSignalType,
+    validateClientMessage,
+    validateRelayedSignal,
+    validatePeerSignal,
+    validateSealedPayload,
+    validatePackedFrame,
+    splitPacked,
+    createUnpacker
+  };
+});
@@ -129,23 +129,55 @@ const CONFIG = {
   CAMERA_ENUM_DELAY: 100, // Reduced delay for faster camera detection
   RECONNECT_DELAY_BASE: 1000,
   RECONNECT_DELAY_MAX: 5000,
-  PEER_RECREATE_DELAY: 500,
+  HEARTBEAT_INTERVAL: 5000, // Ping the server every 5s
+  HEARTBEAT_TIMEOUT: 15000, // Reconnect if the server has been silent for 15s
+  ICE_DISCONNECTED_TIMEOUT: 4000, // Restart ICE if a connection stays "disconnected" this long
+  ICE_RESTART_TIMEOUT: 15000, // Restart again if the previous restart didn't reconnect within 15s
+  NETWORK_CHANGE_DELAY: 1000, // Let the network settle after online/connection change events
+  SIGNAL_CHANNEL_ID: 0, // Id of the negotiated data channel used for in-band signaling
+  CHAT_CHANNEL_ID: 1, // Id of the negotiated data channel carrying chat messages
+  CHAT_MAX_LENGTH: 2000, // Characters per chat message
+  FILE_CHANNEL_ID: 2, // Id of the negotiated data channel carrying file transfers
+  FILE_CHUNK_SIZE: 16 * 1024, // Bytes of file data per message (safe across browsers)
+  FILE_BUFFER_HIGH: 1024 * 1024, // Stop sending file data while the channel buffers this much...
+  FILE_BUFFER_LOW: 256 * 1024, // ...and continue once it's down to this
+  FILE_MAX_SIZE: 256 * 1024 * 1024, // Files are kept in memory until they're saved
+  STATE_CHANNEL_ID: 3, // Id of the negotiated data channel telling the others about our call state
+  RECORDING_WIDTH: 1280, // Size of recorded video
+  RECORDING_HEIGHT: 720,
+  RECORDING_FRAME_RATE: 25,
+  WS_FAILURES_BEFORE_FALLBACK: 3, // Try HTTP polling after this many WebSockets in a row got nothing through
+  WS_RETRY_INTERVAL: 5 * 60 * 1000, // While on HTTP polling, try the WebSocket again every 5 minutes
+  POLL_BATCH_SIZE: 50, // Messages per POST on the HTTP polling transport (the server's limit)
   VIDEO_PLAYING_DELAY: 0, // No delay - show video immediately
-  // ICE servers
+  ICE_REFRESH_MARGIN: 5 * 60 * 1000, // Refresh TURN credentials 5 minutes before they expire
+  ICE_RETRY_DELAY: 10000, // Retry a failed ICE config fetch after 10s
+  ACK_DELAY: 200, // Acknowledge received signals in batches (candidates come in bursts)
+  MEDIA_STATE_INTERVAL: 10000, // Tell the server every 10s whether media is flowing (rooms without media are closed)
+  // ICE servers - fallback used only when /ice-servers can't be fetched
+  // TURN credentials are issued by the server (see loadIceServers)
   ICE_SERVERS: [
-    { urls: "stun:stun.l.google.com:19302" },
-    {
-      urls: "turn:relay1.expressturn.com:3478",
-      username: "ef-test",
-      credential: "ef-test"
-    }
+    { urls: "stun:stun.l.google.com:19302" }
   ],
-  // SimplePeer options
-  TRICKLE: true,
 };
 
 // ====== Constants ======
 const ROOM_ID_PATTERN = /^[a-z0-9]{1,20}$/i; // Allow alphanumeric, max 20 chars
+const E2EE_SECRET_PATTERN = /^[A-Za-z0-9_-]{16,64}$/; // base64url, from the link's #key=
+// Security code symbols - 64 pictures that are easy to tell apart and to name out loud
+const SAS_EMOJI = [
+  ["🐶", "dog"], ["🐱", "cat"], ["🦁", "lion"], ["🐴", "horse"], ["🦄", "unicorn"], ["🐷", "pig"],
+  ["🐘", "elephant"], ["🐰", "rabbit"], ["🐼", "panda"], ["🐓", "rooster"], ["🐧", "penguin"], ["🐢", "turtle"],
+  ["🐟", "fish"], ["🐙", "octopus"], ["🦋", "butterfly"], ["🌷", "flower"], ["🌳", "tree"], ["🌵", "cactus"],
+  ["🍄", "mushroom"], ["🌏", "globe"], ["🌙", "moon"], ["☁️", "cloud"], ["🔥", "fire"], ["🍌", "banana"],
+  ["🍎", "apple"], ["🍓", "strawberry"], ["🌽", "corn"], ["🍕", "pizza"], ["🎂", "cake"], ["❤️", "heart"],
+  ["😀", "smiley"], ["🤖", "robot"], ["🎩", "hat"], ["👓", "glasses"], ["🔧", "spanner"], ["🎅", "santa"],
+  ["👍", "thumbs up"], ["☂️", "umbrella"], ["⌛", "hourglass"], ["⏰", "clock"], ["🎁", "gift"], ["💡", "light bulb"],
+  ["📕", "book"], ["✏️", "pencil"], ["📎", "paperclip"], ["✂️", "scissors"], ["🔒", "lock"], ["🔑", "key"],
+  ["🔨", "hammer"], ["☎️", "telephone"], ["🏁", "flag"], ["🚂", "train"], ["🚲", "bicycle"], ["✈️", "aeroplane"],
+  ["🚀", "rocket"], ["🏆", "trophy"], ["⚽", "ball"], ["🎸", "guitar"], ["🎺", "trumpet"], ["🔔", "bell"],
+  ["⚓", "anchor"], ["🎧", "headphones"], ["📁", "folder"], ["📌", "pin"],
+];
 
 // ====== room & role ======
 const params = new URLSearchParams(location.search);
@@ -159,9 +191,60 @@ if (!room || !ROOM_ID_PATTERN.test(room)) {
   throw new Error("Invalid room id");
 }
 
+// End-to-end encryption secret from the link's #fragment (never sent to the server) - see initE2ee
+const e2eeSecret = getE2eeSecret();
+
+// Passcode of this room, kept for the browser session only (set on the home page by the creator,
+// or remembered after joining so we can get back in after a reconnect)
+const PASSCODE_STORAGE_KEY = `litecall:passcode:${room}`;
+// Creator asked on the home page to admit people manually (lobby)
+const LOBBY_STORAGE_KEY = `litecall:lobby:${room}`;
+// Open picture-in-picture when the tab is hidden ("on"/"off", kept across calls)
+const AUTO_PIP_STORAGE_KEY = "litecall:auto-pip";
+// Devices chosen in the settings, kept across calls
+const CAMERA_STORAGE_KEY = "litecall:camera";
+const MICROPHONE_STORAGE_KEY = "litecall:microphone";
+const SPEAKER_STORAGE_KEY = "litecall:speaker";
+
+// Close codes the server uses when it won't let us in - reconnecting wouldn't help
+const ROOM_CLOSE_MESSAGES = {
+  4001: {
+    title: "Wrong passcode",
+    text: "Too many wrong passcodes were entered. Ask the person who invited you for the passcode and open the link again."
+  },
+  4002: {
+    title: "You were not let in",
+    text: "The host declined your request to join this call."
+  },
+  4003: {
+    title: "The call has ended",
+    text: "Everyone left the call before you were let in."
+  },
+  4004: {
+    title: "This call is full",
+    text: "There's no room for more participants in this call."
+  },
+  4005: {
+    title: "Time's up",
+    text: "This call reached its maximum duration. Start a new call to keep talking."
+  },
+  4006: {
+    title: "The call has ended",
+    text: "The call was closed because nobody was using it."
+  },
+  4007: {
+    title: "You were removed from the call",
+    text: "The host removed you from this call."
+  },
+  4009: {
+    title: "Too many calls",
+    text: "You have too many calls open at the same time. Close some of them and try again."
+  },
+};
+
 // ====== DOM ======
 const localVideo = document.getElementById("local");
-const remoteVideo = document.getElementById("remote");
+const remotesContainer = document.getElementById("remotes");
 const waitingScreen = document.getElementById("waiting-screen");
 const waitingContent = document.getElementById("waiting-content");
 const waitingTitle = document.getElementById("waiting-title");
@@ -169,126 +252,1009 @@ const linkWidget = document.getElementById("link-widget");
 const meetingLinkInput = document.getElementById("meeting-link");
 const copyLinkBtn = document.getElementById("copy-link-btn");
 const controls = document.getElementById("controls");
+const passcodeScreen = document.getElementById("passcode-screen");
+const passcodeForm = document.getElementById("passcode-form");
+const passcodeInput = document.getElementById("passcode-input");
+const passcodeError = document.getElementById("passcode-error");
+const passcodeSubmit = document.getElementById("passcode-submit");
+const roomMessageScreen = document.getElementById("room-message-screen");
+const roomMessageTitle = document.getElementById("room-message-title");
+const roomMessageText = document.getElementById("room-message-text");
+const lobbyScreen = document.getElementById("lobby-screen");
+const knockForm = document.getElementById("knock-form");
+const knockNameInput = document.getElementById("knock-name");
+const knockRequests = document.getElementById("knock-requests");
+const callNotice = document.getElementById("call-notice");
+const peerNotice = document.getElementById("peer-notice");
+const e2eeIndicator = document.getElementById("e2ee-indicator");
+const btnChat = document.getElementById("btn-chat");
+const chatUnread = document.getElementById("chat-unread");
+const chatPanel = document.getElementById("chat-panel");
+const chatClose = document.getElementById("chat-close");
+const chatMessagesList = document.getElementById("chat-messages");
+const chatForm = document.getElementById("chat-form");
+const chatInput = document.getElementById("chat-input");
+const chatSend = document.getElementById("chat-send");
+const btnSendFile = document.getElementById("btn-send-file");
+const fileInput = document.getElementById("file-input");
+const fileTransfersList = document.getElementById("file-transfers");
+const fileDropOverlay = document.getElementById("file-drop-overlay");
+const recordingIndicator = document.getElementById("recording-indicator");
+const DEFAULT_WAITING_TITLE = waitingTitle ? waitingTitle.textContent : "";
+
+// What the others see when a participant is gone for good (reason from the server's peer-left)
+const PEER_LEFT_MESSAGES = {
+  "hung-up": { alone: "The other person hung up", notice: "A participant hung up" },
+  "network-lost": { alone: "The other person lost their connection", notice: "A participant lost their connection" },
+  "kicked": { alone: "The other person was removed from the call", notice: "A participant was removed from the call" },
+};
 
 // Validate critical DOM elements
-if (!localVideo || !remoteVideo) {
+if (!localVideo || !remotesContainer) {
   throw new Error("Missing required DOM elements");
 }
 
 // ====== Dynamic role assignment ======
 let isHost = false; // Will be set dynamically based on who joins first
+let myPeerId = null; // Our peer id, assigned by the server in room-info
+let sessionToken = null; // Presented on reconnect to get our seat (peer id and role) back
+let roomMembers = []; // Peer ids of everyone in the room, in join order
 
 // ====== State ======
 let ws = null;
-let peer = null;
+// One entry per remote member: remote peerId -> { pc, tile, video, queuedIncomingSignals, ... }
+// The mesh is full: every member keeps its own RTCPeerConnection with every other member
+const peers = new Map();
 let localStream = null;
-let queuedSignals = []; // outgoing signals
-let queuedIncomingSignals = []; // incoming signals waiting for peer
+let queuedSignals = []; // outgoing messages while the socket is down: { text, plainText?, remoteId?, generation? }
+let signalGeneration = 0; // generation of our newest peer connection - stamped on its signals
+let lastSignalSeq = 0; // mailbox seq of the last signal we handled (the server replays unacknowledged ones)
+let ackTimeout = null; // for cleanup
 let reconnectAttempts = 0;
 let reconnecting = false;
-let isRecreatingPeer = false; // prevent multiple simultaneous recreations
-let hasConnected = false; // track if we've ever successfully connected
 let fullscreenHandler = null; // for cleanup
-let videoPlayingHandler = null; // for cleanup
 let reconnectTimeout = null; // for cleanup
 let cameraEnumTimeout = null; // for cleanup
 let isRequestingMedia = false; // prevent multiple simultaneous getUserMedia calls
+let roomClosed = false; // the server won't let us in - stop reconnecting
+let pendingPasscode = null; // passcode sent to the server, stored once it's accepted
+let passcodeAutoSubmitted = false; // the stored passcode is tried silently only once
+let passcodeSetRequested = false; // creator asked the server to protect the room
+let lobbySetRequested = false; // creator asked the server to enable the lobby
+let knockName = null; // name we knocked with - knock again with it after a reconnect
+let iceServers = null; // ICE servers from the server (with time-limited TURN credentials)
+let iceServersRefreshAt = null; // when the TURN credentials should be refreshed (ms), null if they don't expire
+let iceServersRequest = null; // pending /ice-servers request
+let iceRefreshTimeout = null; // for cleanup
+let heartbeatInterval = null; // for cleanup
+let lastServerMessageAt = 0; // last time anything arrived over the WebSocket
+let mediaStateInterval = null; // for cleanup
+let reportedMediaFlowing = null; // last media state sent to the server
+let callEndsAt = null; // when the server closes the call (time limit), once we've been warned
+let callEndCountdownInterval = null; // for cleanup
+let peerNoticeTimeout = null; // for cleanup
+let networkChangeTimeout = null; // for cleanup
+let sendChain = Promise.resolve(); // large outgoing messages are compressed asynchronously, in order
+let pendingPackedSends = 0; // messages waiting in sendChain
+let failedWebSocketAttempts = 0; // WebSockets in a row that got nothing through
+let useHttpTransport = false; // signal over HTTP polling instead of a WebSocket (only for this page)
+let webSocketRetryTimeout = null; // for cleanup
+let e2eeWorker = null; // runs the encoded transforms when the link has a key
+let e2eeMode = null; // "script" (RTCRtpScriptTransform) or "streams" (createEncodedStreams), null = no E2EE
+let e2eeIndicatorState = null;
+const e2eeTransformed = new WeakSet(); // senders/receivers already piped through the worker
+let signalKeyPromise = null; // AES-GCM key sealing our signals (links with a key), see sendSealedSignal
+let sealChain = Promise.resolve(); // signals are sealed one at a time, in order
+let pendingSeals = 0; // signals waiting in sealChain
+let rejectedSignals = 0; // relayed signals that failed authentication
+const authenticatedSignals = new WeakMap(); // relayed signal -> counter it was sealed with (with our key)
+const sealCounters = new Map(); // peerId -> counter of the last signal we sealed for them
+const openedCounters = new Map(); // peerId -> highest counter of theirs we accepted - lower ones are replays
+const chatMessages = []; // chat history of this page (never stored anywhere), see sendChatMessage
+const receivedChatIds = new Set(); // "peerId:messageId" of messages we've shown - resends are only acknowledged
+let unreadChatCount = 0; // messages received while the chat panel was closed
+const outgoingFiles = new Map(); // transfer id -> file we send to one member, see sendFiles
+const incomingFiles = new Map(); // "peerId:transferId" -> file a member sends us
+let screenShare = null; // { stream, videoTrack, audioTrack, audioSenders } while we share our screen
+let recording = null; // { recorder, chunks, canvas, audioContext, ... } while we record the call, see startRecording
+let pipWindow = null; // Document Picture-in-Picture window holding the remote grid
+let pipControls = null; // its mute/camera buttons
+let autoPipActive = false; // picture-in-picture was opened because the tab was hidden
+let autoPipEntering = false; // an automatic picture-in-picture is being opened
+let autoPipByMediaSession = false; // the browser opens it through the media session (no visibilitychange fallback)
 
 const proto = location.protocol === "https:" ? "wss" : "ws";
-const wsUrl = `${proto}://${location.host}/?room=${encodeURIComponent(room)}`;
+const supportsCompression = getCompressionSupport();
+
+// Chromium 80-102 has the streams but not "deflate-raw" - the constructors throw there
+function getCompressionSupport() {
+  try {
+    new CompressionStream("deflate-raw");
+    new DecompressionStream("deflate-raw");
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+// Same for both transports (WebSocket URL, or the POST opening an HTTP polling session)
+function getSignalingQuery() {
+  let query = `room=${encodeURIComponent(room)}`;
+  if (sessionToken) {
+    query += `&token=${encodeURIComponent(sessionToken)}`;
+  }
+  // Large messages from the server are compressed unless we can't decompress them
+  if (!supportsCompression) {
+    query += "&packing=none";
+  }
+  return query;
+}
+
+function getWebSocketUrl() {
+  return `${proto}://${location.host}/?${getSignalingQuery()}`;
+}
 
 // ====== Utility ======
 function safeSend(msg) {
+  queueOrTransmit({ text: msg });
+}
+
+function queueOrTransmit(item) {
   if (!ws || ws.readyState !== WebSocket.OPEN) {
-    queuedSignals.push(msg);
+    queuedSignals.push(item);
     log("🕓 queued (ws not ready)");
     return;
   }
-  ws.send(msg);
+  transmit(item);
+}
+
+// A queued signal is stale once the peer connection that produced it was replaced or removed
+function isStaleSignal(item) {
+  if (!item.remoteId) return false;
+  const entry = peers.get(item.remoteId);
+  return !entry || entry.generation !== item.generation;
 }
 
 function flushQueue() {
   if (ws && ws.readyState === WebSocket.OPEN && queuedSignals.length) {
-    log(`🚚 flushing ${queuedSignals.length} queued signals`);
-    queuedSignals.forEach((m) => ws.send(m));
+    const queued = queuedSignals.filter((item) => !isStaleSignal(item));
     queuedSignals = [];
+    log(`🚚 flushing ${queued.length} queued signals`);
+    queued.forEach(transmit);
   }
 }
 
-// Helper function to check if peer is valid (not destroyed)
-function isPeerValid(p) {
-  if (!p) return false;
-  // SimplePeer destroyed peers have a destroyed property
-  if (p.destroyed === true) return false;
-  // Try-catch check for destroyed state
+// ====== Signaling transport ======
+// The server accepts at most LiteCallProtocol.MAX_MESSAGE_LENGTH characters per frame, but offers with
+// many codecs, simulcast or non-trickled candidates can be longer - those travel compressed and, if needed,
+// split into "packed" frames (see protocol.js)
+function transmit(item) {
+  const msg = item.text;
+  // Keep the order: a candidate must not overtake the offer that's still being compressed
+  if (msg.length <= LiteCallProtocol.PACK_THRESHOLD && pendingPackedSends === 0) {
+    ws.send(msg);
+    return;
+  }
+  pendingPackedSends++;
+  sendChain = sendChain
+    .then(async () => {
+      const frames = msg.length <= LiteCallProtocol.PACK_THRESHOLD ? [msg] : await packMessage(msg);
+      if (!ws || ws.readyState !== WebSocket.OPEN) {
+        queuedSignals.push(item); // Socket went away while compressing - send it after reconnecting
+        return;
+      }
+      frames.forEach((frame) => ws.send(frame));
+    })
+    .catch((err) => {
+      logWarn(`⚠️ Could not send large message: ${err.message}`);
+    })
+    .finally(() => {
+      pendingPackedSends--;
+    });
+}
+
+async function packMessage(text) {
+  let bytes = new TextEncoder().encode(text);
+  let encoding = "none";
+  if (supportsCompression) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate-raw"));
+    bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    encoding = "deflate-raw";
+  }
+  const id = Math.random().toString(36).slice(2, 10);
+  const frames = LiteCallProtocol.splitPacked(id, encoding, bytesToBase64(bytes));
+  if (!frames) {
+    throw new Error(`message is too large (${text.length} characters)`);
+  }
+  log(`📦 Packed ${text.length} characters into ${frames.length} frame(s) (${encoding}, ${bytes.length} bytes)`);
+  return frames.map((frame) => JSON.stringify(frame));
+}
+
+// Returns the whole message once its last frame is in, null while frames are still missing
+async function unpackFrame(unpacker, frame) {
+  const validation = LiteCallProtocol.validatePackedFrame(frame);
+  if (!validation.ok) {
+    throw new Error(validation.error);
+  }
+  const result = unpacker.add(validation.message);
+  if (result.error) {
+    throw new Error(result.error);
+  }
+  if (!result.done) return null;
+
+  let bytes = base64ToBytes(result.data);
+  if (result.encoding === "deflate-raw") {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+    bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+  const text = new TextDecoder().decode(bytes);
+  log(`📦 Unpacked ${text.length} characters (${result.encoding})`);
+  return JSON.parse(text);
+}
+
+function bytesToBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// Send a signal to one remote member - the server routes it by the "to" field
+// The server drops anything protocol.js doesn't allow, so check here to get a useful log line
+function sendSignal(remoteId, data, generation) {
+  const validation = LiteCallProtocol.validateClientMessage({ ...data, to: remoteId, generation });
+  if (!validation.ok) {
+    logWarn(`⚠️ Not sending invalid signal ${data.type || 'unknown'}: ${validation.error}`);
+    return;
+  }
+  const text = JSON.stringify(validation.message);
+  const entry = peers.get(remoteId);
+  // A signal still being sealed must not be overtaken on the data channel
+  if (pendingSeals === 0 && entry && entry.generation === generation && sendOverChannel(entry, text)) return;
+  if (signalKeyPromise) {
+    sendSealedSignal(remoteId, validation.message, generation);
+    return;
+  }
+  queueOrTransmit({ text, remoteId, generation });
+}
+
+// In-band signaling: once the connection is up, signals go straight to the member over the
+// signaling data channel, so renegotiation keeps working while the server is unreachable
+// Returns false if the channel can't be used - not open yet, or ICE is down (and the channel with it)
+function sendOverChannel(entry, text) {
+  const channel = entry.signalChannel;
+  if (!channel || channel.readyState !== "open" || !isIceConnected(entry.pc)) return false;
   try {
-    // If we can access the peer without errors, it's likely valid
-    // But we can't easily check without trying to use it
-    // So we'll rely on the destroyed property and our own tracking
+    // Signals still waiting for the server go first, to keep the order
+    const waiting = queuedSignals.filter((item) => item.remoteId === entry.id && !isStaleSignal(item));
+    if (waiting.length) {
+      log(`📨 Sending ${waiting.length} queued signals to ${entry.id} over the data channel`);
+      queuedSignals = queuedSignals.filter((item) => item.remoteId !== entry.id);
+      waiting.forEach((item) => channel.send(item.plainText || item.text));
+    }
+    channel.send(text);
     return true;
-  } catch (_) {
+  } catch (err) {
+    logWarn(`⚠️ Signaling channel with ${entry.id} failed, falling back to the server:`, err);
     return false;
   }
 }
 
+// A signal from the signaling data channel - checked like the ones relayed by the server
+function receiveChannelSignal(entry, text) {
+  if (typeof text !== "string" || text.length > LiteCallProtocol.MAX_UNPACKED_LENGTH) {
+    logWarn(`⚠️ Ignoring oversized or binary message on the signaling channel of ${entry.id}`);
+    return;
+  }
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch (err) {
+    logWarn(`⚠️ Ignoring malformed message on the signaling channel of ${entry.id}`);
+    return;
+  }
+  const validation = LiteCallProtocol.validatePeerSignal(message);
+  if (!validation.ok) {
+    logWarn(`⚠️ Ignoring invalid signal ${message.type || 'unknown'} from ${entry.id}: ${validation.error}`);
+    return;
+  }
+  const { to, generation, ...signal } = validation.message;
+  if (to !== myPeerId) return;
+  dispatchSignal(entry, generation, signal);
+}
+
+// Tell the server which signals arrived, so it stops keeping them for replay
+function scheduleAck() {
+  if (ackTimeout) return;
+  ackTimeout = setTimeout(() => {
+    ackTimeout = null;
+    if (ws && ws.readyState === WebSocket.OPEN && lastSignalSeq > 0) {
+      ws.send(JSON.stringify({ type: "ack", seq: lastSignalSeq }));
+    }
+  }, CONFIG.ACK_DELAY);
+}
+
+// A connection we can still negotiate on - a failed one is repaired with an ICE restart, a closed one is replaced
+function isConnectionUsable(pc) {
+  return !!pc && pc.connectionState !== "closed";
+}
+
+// Perfect negotiation: either side may send an offer at any time. When both do at once (glare),
+// the polite side rolls its offer back and answers, the impolite side ignores the colliding offer.
+// Peer ids never change during a session, so both sides always agree on the roles
+function isPoliteTowards(remoteId) {
+  return !!myPeerId && myPeerId > remoteId;
+}
+
+// Extract the DTLS fingerprint from an SDP - it changes only when the remote side
+// creates a brand new RTCPeerConnection, not on renegotiation
+function getSdpFingerprint(sdp) {
+  const match = typeof sdp === "string" ? sdp.match(/a=fingerprint:\S+ (\S+)/) : null;
+  return match ? match[1] : null;
+}
+
+// ====== ICE servers ======
+function hasFreshIceServers() {
+  if (!iceServers) return false;
+  return !iceServersRefreshAt || Date.now() < iceServersRefreshAt;
+}
+
+// Fetch ICE servers with fresh TURN credentials from the server
+// Resolves even on failure (falls back to CONFIG.ICE_SERVERS) so the call can still try STUN
+function loadIceServers() {
+  if (iceServersRequest) return iceServersRequest;
+
+  iceServersRequest = fetch("/ice-servers", { cache: "no-store" })
+    .then((res) => {
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return res.json();
+    })
+    .then((data) => {
+      if (!Array.isArray(data.iceServers) || data.iceServers.length === 0) {
+        throw new Error("Empty ICE server list");
+      }
+      iceServers = data.iceServers;
+      iceServersRefreshAt = null;
+      if (data.ttl) {
+        // Use the TTL rather than the server's expiry timestamp - our clock may be off
+        // Refresh ahead of expiry, but no later than halfway for short-lived credentials
+        const lifetime = data.ttl * 1000;
+        iceServersRefreshAt = Date.now() + lifetime - Math.min(CONFIG.ICE_REFRESH_MARGIN, lifetime / 2);
+      }
+      log(`🧊 ICE servers loaded (${iceServers.length} entries${data.ttl ? `, credentials valid for ${data.ttl}s` : ""})`);
+      scheduleIceServersRefresh(Math.max(0, (iceServersRefreshAt || 0) - Date.now()));
+    })
+    .catch((err) => {
+      logWarn("⚠️ Failed to load ICE servers, using fallback:", err?.message || err);
+      if (!iceServers) {
+        iceServers = CONFIG.ICE_SERVERS;
+        iceServersRefreshAt = null;
+      }
+      scheduleIceServersRefresh(CONFIG.ICE_RETRY_DELAY);
+    })
+    .finally(() => {
+      iceServersRequest = null;
+    });
+  return iceServersRequest;
+}
+
+function scheduleIceServersRefresh(delay) {
+  if (iceRefreshTimeout) {
+    clearTimeout(iceRefreshTimeout);
+    iceRefreshTimeout = null;
+  }
+  // Nothing to refresh when the server doesn't hand out expiring credentials
+  if (!iceServersRefreshAt && iceServers !== CONFIG.ICE_SERVERS) return;
+
+  iceRefreshTimeout = setTimeout(async () => {
+    iceRefreshTimeout = null;
+    log("🧊 Refreshing ICE server credentials...");
+    await loadIceServers();
+    // Running connections need the new credentials too (TURN allocations are refreshed with them)
+    peers.forEach((entry) => {
+      if (!entry.pc) return;
+      try {
+        entry.pc.setConfiguration({ ...entry.pc.getConfiguration(), iceServers });
+        log(`🧊 Updated ICE servers for connection with ${entry.id}`);
+      } catch (err) {
+        logWarn(`⚠️ Failed to update ICE servers for ${entry.id}:`, err);
+      }
+    });
+  }, delay);
+}
+
+// ====== End-to-end encryption ======
+// Optional: a link like /room?id=abc#key=<secret> turns it on. The #fragment never reaches the server,
+// so only people who have the link can derive the media key. Frames are encrypted in e2ee-worker.js
+const E2EE_INDICATOR_STATES = {
+  waiting: { text: "🔒 Encrypted call - waiting for media", className: "" },
+  encrypting: { text: "🔒 Encrypting - waiting for the others", className: "" },
+  active: { text: "🔒 End-to-end encrypted", className: "ok" },
+  failing: { text: "⚠️ Can't decrypt - make sure everyone opened the same link", className: "error" },
+  unsupported: { text: "⚠️ Not end-to-end encrypted - this browser can't do it", className: "error" },
+};
+
+function getE2eeSecret() {
+  const secret = new URLSearchParams(location.hash.slice(1)).get("key");
+  if (!secret) return null;
+  if (!E2EE_SECRET_PATTERN.test(secret)) {
+    logWarn("🔓 Ignoring malformed encryption key in the link");
+    return null;
+  }
+  return secret;
+}
+
+// RTCRtpScriptTransform where available, Chrome's older createEncodedStreams otherwise
+function getE2eeMode() {
+  if (!window.isSecureContext || !window.Worker) return null;
+  if (typeof RTCRtpScriptTransform !== "undefined") return "script";
+  if (typeof RTCRtpSender !== "undefined" && RTCRtpSender.prototype.createEncodedStreams) return "streams";
+  return null;
+}
+
+// HKDF from the link secret, bound to this room - the label keeps keys for different purposes apart
+async function deriveE2eeKey(label) {
+  const encoder = new TextEncoder();
+  const material = await crypto.subtle.importKey("raw", base64UrlToBytes(e2eeSecret), "HKDF", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "HKDF", hash: "SHA-256", salt: encoder.encode(`litecall:${room}`), info: encoder.encode(label) },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+function base64UrlToBytes(text) {
+  const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  return base64ToBytes(base64 + "=".repeat((4 - (base64.length % 4)) % 4));
+}
+
+function initE2ee() {
+  if (!e2eeSecret) return;
+  if (window.isSecureContext && window.crypto && crypto.subtle) {
+    signalKeyPromise = deriveE2eeKey("litecall signaling");
+    signalKeyPromise.catch((err) => {
+      console.error("❌ Could not derive the signaling key:", err);
+    });
+  } else {
+    logWarn("🔓 The link has a key, but this page can't use WebCrypto - signaling is not sealed");
+  }
+  const mode = getE2eeMode();
+  if (!mode) {
+    logWarn("🔓 The link asks for end-to-end encryption, but this browser doesn't support encoded transforms");
+    setE2eeIndicator("unsupported");
+    return;
+  }
+  try {
+    const workerMeta = document.querySelector('meta[name="e2ee-worker"]');
+    e2eeWorker = new Worker(workerMeta ? workerMeta.content : "e2ee-worker.js");
+  } catch (err) {
+    console.error("❌ Could not start the encryption worker:", err);
+    setE2eeIndicator("unsupported");
+    return;
+  }
+  e2eeMode = mode;
+  e2eeWorker.addEventListener("message", ({ data }) => {
+    if (data.type === "stats") {
+      updateE2eeIndicator(data);
+    }
+  });
+  setE2eeIndicator("waiting");
+  // Until the key arrives the worker drops frames - nothing goes out in the clear
+  deriveE2eeKey("litecall media").then((key) => {
+    e2eeWorker.postMessage({ type: "key", key });
+    log(`🔒 End-to-end encryption on (${e2eeMode === "script" ? "RTCRtpScriptTransform" : "encoded streams"})`);
+  }).catch((err) => {
+    console.error("❌ Could not derive the media key:", err);
+    setE2eeIndicator("unsupported");
+  });
+}
+
+// Every sender and receiver goes through the worker once E2EE is on - with createEncodedStreams,
+// Chrome stalls media that isn't piped through
+function applyE2eeTransform(senderOrReceiver, operation) {
+  if (!e2eeMode || e2eeTransformed.has(senderOrReceiver)) return;
+  e2eeTransformed.add(senderOrReceiver);
+  try {
+    if (e2eeMode === "script") {
+      senderOrReceiver.transform = new RTCRtpScriptTransform(e2eeWorker, { operation });
+    } else {
+      const { readable, writable } = senderOrReceiver.createEncodedStreams();
+      e2eeWorker.postMessage({ type: "transform", operation, readable, writable }, [readable, writable]);
+    }
+  } catch (err) {
+    console.error(`❌ Could not set up ${operation}ion:`, err);
+  }
+}
+
+// The worker leaves the VP8 payload header in the clear - with other codecs the packetizer would
+// be looking at ciphertext, so make VP8 the first choice (both sides do the same)
+function preferVp8(pc) {
+  if (!e2eeMode || typeof RTCRtpReceiver === "undefined" || !RTCRtpReceiver.getCapabilities) return;
+  const capabilities = RTCRtpReceiver.getCapabilities("video");
+  if (!capabilities) return;
+  const isVp8 = (codec) => codec.mimeType.toLowerCase() === "video/vp8";
+  const codecs = [...capabilities.codecs.filter(isVp8), ...capabilities.codecs.filter((codec) => !isVp8(codec))];
+  pc.getTransceivers().forEach((transceiver) => {
+    if (transceiver.receiver.track.kind !== "video" || !transceiver.setCodecPreferences) return;
+    try {
+      transceiver.setCodecPreferences(codecs);
+    } catch (err) {
+      logWarn("⚠️ Could not prefer VP8 for encrypted video:", err);
+    }
+  });
+}
+
+function setE2eeIndicator(state) {
+  if (!e2eeIndicator || e2eeIndicatorState === state) return;
+  e2eeIndicatorState = state;
+  const { text, className } = E2EE_INDICATOR_STATES[state];
+  e2eeIndicator.textContent = text;
+  e2eeIndicator.className = className;
+}
+
+// Worker counters for the last second
+function updateE2eeIndicator({ encrypted, decrypted, failed }) {
+  if (e2eeIndicator) {
+    e2eeIndicator.title = `Last second: ${encrypted} frames encrypted, ${decrypted} decrypted, ${failed} failed`;
+  }
+  if (failed > 0 && decrypted === 0) {
+    // Someone is sending with another key (or none) - they opened a different link
+    setE2eeIndicator("failing");
+  } else if (decrypted > 0) {
+    setE2eeIndicator("active");
+  } else if (encrypted > 0 && e2eeIndicatorState !== "active") {
+    setE2eeIndicator("encrypting");
+  }
+}
+
+// ====== Remote members ======
+function updateRemoteLayout() {
+  remotesContainer.dataset.count = String(peers.size);
+  updateChatAvailability();
+  updateRecordingIndicator();
+}
+
+function createPeerEntry(remoteId) {
+  const tile = document.createElement("div");
+  tile.className = "remote-tile";
+  tile.dataset.peerId = remoteId;
+
+  const video = document.createElement("video");
+  video.className = "remote-video";
+  video.autoplay = true;
+  video.muted = true;
+  video.setAttribute("playsinline", "true");
+  video.setAttribute("webkit-playsinline", "true");
+  applySpeaker(video);
+  tile.appendChild(video);
+
+  // Shown while the member's connection to the server recovers
+  const status = document.createElement("div");
+  status.className = "tile-status";
+  const spinner = document.createElement("div");
+  spinner.className = "spinner";
+  status.appendChild(spinner);
+  status.appendChild(document.createTextNode("Reconnecting..."));
+  tile.appendChild(status);
+
+  // Host only (see #remotes.is-host)
+  const kickBtn = document.createElement("button");
+  kickBtn.className = "kick-btn";
+  kickBtn.title = "Remove from call";
+  kickBtn.textContent = "✕";
+  kickBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    if (isHost && confirm("Remove this participant from the call?")) {
+      log(`🥾 Removing ${remoteId} from the call`);
+      safeSend(JSON.stringify({ type: "kick", peerId: remoteId }));
+    }
+  });
+  tile.appendChild(kickBtn);
+
+  // Security code to compare with this member (see updateSecurityCode)
+  const securityRoot = document.createElement("div");
+  securityRoot.className = "tile-security hidden";
+  const securityCode = document.createElement("span");
+  securityCode.className = "security-code";
+  const verifyBtn = document.createElement("button");
+  verifyBtn.className = "verify-btn";
+  verifyBtn.textContent = "It matches";
+  verifyBtn.title = "We compared this code and it's the same on both screens";
+  verifyBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    const entry = peers.get(remoteId);
+    if (entry) {
+      verifySecurityCode(entry);
+    }
+  });
+  const securityWarning = document.createElement("div");
+  securityWarning.className = "security-warning-text";
+  securityRoot.appendChild(securityCode);
+  securityRoot.appendChild(verifyBtn);
+  securityRoot.appendChild(securityWarning);
+  tile.appendChild(securityRoot);
+
+  remotesContainer.appendChild(tile);
+
+  const entry = {
+    id: remoteId,
+    pc: null, // our RTCPeerConnection with this member
+    polite: false, // our negotiation role towards this member (see isPoliteTowards)
+    makingOffer: false, // we're between negotiationneeded and sending the offer
+    ignoreOffer: false, // we (impolite) ignored their colliding offer - its candidates may fail
+    signalChain: Promise.resolve(), // incoming signals are applied one at a time, in order
+    signalChannel: null, // in-band signaling data channel of the current connection
+    chatChannel: null, // chat data channel of the current connection
+    fileChannel: null, // file transfer data channel of the current connection
+    stateChannel: null, // call state data channel of the current connection (see sendCallState)
+    outgoingStream: null, // local stream the current connection was created with
+    screenSharing: false, // the member is sharing their screen
+    recording: false, // the member is recording the call
+    tile,
+    video,
+    queuedIncomingSignals: [], // incoming signals waiting for peer
+    hasConnected: false, // track if we've ever successfully connected
+    iceRecovering: false, // ICE is disconnected/failed - waiting for it to come back or restarting it
+    disconnectedTimeout: null, // restarts ICE if "disconnected" lasts
+    iceRestartTimeout: null, // retries a restart that didn't recover
+    videoPlayingHandler: null, // for cleanup
+    frozenFrameCheckInterval: null, // for cleanup
+    lastBytesReceived: 0, // for media state reports
+    generation: 0, // generation of our current peer connection with this member
+    remoteGeneration: 0, // newest generation of theirs we've seen - older signals are stale
+    waitingForIceServers: false, // peer creation postponed until ICE servers are loaded
+    security: { root: securityRoot, code: securityCode, verifyBtn, warning: securityWarning },
+    securityPc: null, // connection the current security code belongs to
+    securityFingerprints: null, // "local|remote" DTLS fingerprints the code was derived from
+    securityCode: null, // [[emoji, name], ...] of the current connection
+    verifiedCode: null, // code the user confirmed - kept when the connection is recreated
+    securityWarning: null, // shown until the user verifies the new code
+  };
+  peers.set(remoteId, entry);
+  updateRemoteLayout();
+  log(`➕ Added remote member ${remoteId} (${peers.size} remote total)`);
+  return entry;
+}
+
+function getPeerEntry(remoteId) {
+  return peers.get(remoteId) || createPeerEntry(remoteId);
+}
+
+// Close the RTCPeerConnection of an entry - its handlers check entry.pc, so they ignore it from now on
+function closeEntryConnection(entry) {
+  if (!entry.pc) return;
+  const oldPc = entry.pc;
+  entry.pc = null;
+  entry.signalChannel = null;
+  entry.chatChannel = null;
+  entry.fileChannel = null;
+  entry.stateChannel = null;
+  entry.makingOffer = false;
+  entry.ignoreOffer = false;
+  clearIceRecovery(entry);
+  try {
+    oldPc.close();
+  } catch (_) {}
+}
+
+function removePeer(remoteId) {
+  const entry = peers.get(remoteId);
+  if (!entry) return;
+  peers.delete(remoteId);
+  closeEntryConnection(entry);
+  forgetChatRecipient(remoteId);
+  failFileTransfers(remoteId);
+  if (entry.frozenFrameCheckInterval) {
+    clearInterval(entry.frozenFrameCheckInterval);
+    entry.frozenFrameCheckInterval = null;
+  }
+  entry.video.srcObject = null;
+  entry.tile.remove();
+  updateRemoteLayout();
+  log(`👋 Remote member ${remoteId} removed (${peers.size} remote left)`);
+
+  // Host is alone again - show the link widget so they can invite someone else
+  if (peers.size === 0 && isHost) {
+    showWaitingForOthers(DEFAULT_WAITING_TITLE);
+  }
+}
+
+// Back to the waiting screen with the meeting link (we're alone in the call)
+function showWaitingForOthers(title) {
+  if (!waitingScreen || roomClosed) return;
+  if (waitingTitle) {
+    waitingTitle.textContent = title;
+    waitingTitle.style.display = "";
+  }
+  if (linkWidget) {
+    linkWidget.style.display = "";
+  }
+  if (waitingContent) {
+    waitingContent.style.display = "";
+  }
+  waitingScreen.classList.remove("hidden", "show-loading");
+  waitingScreen.classList.add("show-link-widget");
+  if (localStream) {
+    waitingScreen.classList.add("host-streaming");
+  }
+}
+
+// ====== Other participants' presence ======
+function showPeerNotice(text) {
+  if (!peerNotice) return;
+  peerNotice.textContent = text;
+  peerNotice.classList.remove("hidden");
+  if (peerNoticeTimeout) {
+    clearTimeout(peerNoticeTimeout);
+  }
+  peerNoticeTimeout = setTimeout(() => {
+    peerNoticeTimeout = null;
+    peerNotice.classList.add("hidden");
+  }, 4000);
+}
+
+function setPeerReconnecting(peerId, reconnecting) {
+  const entry = peers.get(peerId);
+  if (!entry) return;
+  log(reconnecting ? `📡 ${peerId} is reconnecting...` : `📡 ${peerId} is back`);
+  entry.tile.classList.toggle("reconnecting", reconnecting);
+}
+
+// Gone for good - drop the tile now instead of freezing on the last frame until ICE times out
+function handlePeerLeft(peerId, reason) {
+  const messages = PEER_LEFT_MESSAGES[reason] || PEER_LEFT_MESSAGES["hung-up"];
+  log(`👋 ${peerId} left the call (${reason})`);
+  roomMembers = roomMembers.filter((id) => id !== peerId);
+  removePeer(peerId);
+  if (peers.size === 0) {
+    showWaitingForOthers(messages.alone);
+  } else {
+    showPeerNotice(messages.notice);
+  }
+}
+
 // Helper function to clear stale remote stream and reset UI
-function clearStaleRemoteStream() {
-  const hasRemoteStream = remoteVideo && remoteVideo.srcObject;
+function clearStaleRemoteStream(entry) {
+  const hasRemoteStream = entry.video && entry.video.srcObject;
   if (hasRemoteStream) {
-    log("🔄 Clearing stale remote stream from previous connection...");
-    remoteVideo.srcObject = null;
-    remoteVideo.classList.remove("playing");
-    queuedIncomingSignals = []; // Clear queued signals - they're from previous connection
-    // Show waiting screen again for host
-    if (waitingScreen && isHost) {
-      waitingScreen.classList.remove("hidden");
-      waitingScreen.classList.add("host-streaming");
-    }
+    log(`🔄 Clearing stale remote stream of ${entry.id} from previous connection...`);
+    entry.video.srcObject = null;
+    entry.video.classList.remove("playing");
+    entry.queuedIncomingSignals = []; // Clear queued signals - they're from previous connection
     return true; // Return true if stream was cleared
   }
   return false; // Return false if no stream to clear
 }
 
 // Helper function to recreate peer connection
-function recreatePeerConnection() {
+function recreatePeerConnection(entry) {
   if (localStream) {
-    createPeerConnection(localStream);
+    createPeerConnection(entry, localStream);
   } else {
     initPeer();
   }
 }
 
+// Bring the set of peers in line with the member list announced by the server
+function syncPeers() {
+  // Members who left the room
+  [...peers.keys()].forEach((remoteId) => {
+    if (!roomMembers.includes(remoteId)) {
+      removePeer(remoteId);
+    }
+  });
+
+  // Connections are created only once we have a stream (its tracks are what the first offer negotiates)
+  if (!localStream) return;
+
+  roomMembers.forEach((remoteId) => {
+    if (remoteId === myPeerId) return;
+    const entry = peers.get(remoteId);
+    if (entry && isConnectionUsable(entry.pc)) return;
+    log(`⚡ Creating peer connection with ${remoteId} (polite: ${isPoliteTowards(remoteId)})...`);
+    createPeerConnection(getPeerEntry(remoteId), localStream);
+  });
+}
+
+// ====== HTTP polling transport ======
+// Stands in for the WebSocket where upgrades are blocked (some corporate proxies - see server.js):
+// same readyState values and events ("open", "message", "close", "error"), so the rest of the client
+// doesn't tell the two apart. Messages from the server come from long-polling GETs, ours go in POSTs
+class PollingSocket extends EventTarget {
+  constructor(query) {
+    super();
+    this.readyState = WebSocket.CONNECTING;
+    this.id = null; // Session id from the server - only we know it
+    this.outbox = []; // Messages waiting for the POST in flight to finish
+    this.sending = false;
+    this.connect(query);
+  }
+
+  async connect(query) {
+    try {
+      const response = await fetch(`/poll?${query}`, { method: "POST", cache: "no-store" });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const { id } = await response.json();
+      if (this.readyState !== WebSocket.CONNECTING) return; // Closed meanwhile
+      this.id = id;
+      this.readyState = WebSocket.OPEN;
+      this.dispatchEvent(new Event("open"));
+      this.poll();
+      this.flushOutbox();
+    } catch (err) {
+      this.fail(err);
+    }
+  }
+
+  // The server holds each GET until it has something for us (or for a while) - then we ask again
+  async poll() {
+    while (this.readyState === WebSocket.OPEN) {
+      let body;
+      try {
+        const response = await fetch(`/poll/${this.id}`, { cache: "no-store" });
+        body = await response.json(); // An unknown session is a 404 with a close
+      } catch (err) {
+        this.fail(err);
+        return;
+      }
+      if (this.readyState !== WebSocket.OPEN) return;
+      (body.messages || []).forEach((data) => {
+        this.dispatchEvent(new MessageEvent("message", { data }));
+      });
+      if (body.close) {
+        this.finish(body.close.code, body.close.reason);
+        return;
+      }
+    }
+  }
+
+  send(text) {
+    if (this.readyState !== WebSocket.OPEN) {
+      throw new Error("Polling session is not open");
+    }
+    this.outbox.push(text);
+    this.flushOutbox();
+  }
+
+  // One POST at a time keeps our messages in order - whatever piles up meanwhile goes in the next one
+  async flushOutbox() {
+    if (this.sending || this.outbox.length === 0 || this.readyState !== WebSocket.OPEN) return;
+    this.sending = true;
+    const messages = this.outbox.splice(0, CONFIG.POLL_BATCH_SIZE);
+    try {
+      const response = await fetch(`/poll/${this.id}`, {
+        method: "POST",
+        body: JSON.stringify({ messages }),
+        cache: "no-store"
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    } catch (err) {
+      this.sending = false;
+      this.fail(err);
+      return;
+    }
+    this.sending = false;
+    this.flushOutbox();
+  }
+
+  // 1000 tells the server we hung up, anything else that we're gone for now (it keeps our seat)
+  // sendBeacon still goes out while the page unloads (cleanup runs on pagehide)
+  close(code, reason = "") {
+    if (this.readyState === WebSocket.CLOSED) return;
+    if (this.readyState === WebSocket.OPEN) {
+      navigator.sendBeacon(`/poll/${this.id}`, JSON.stringify({
+        messages: this.outbox.splice(0, CONFIG.POLL_BATCH_SIZE),
+        close: code === 1000 ? 1000 : 1005
+      }));
+    }
+    this.finish(code || 1005, reason);
+  }
+
+  fail(err) {
+    if (this.readyState === WebSocket.CLOSED) return;
+    logWarn("⚠️ HTTP polling request failed:", err);
+    this.dispatchEvent(new Event("error"));
+    this.finish(1006, "");
+  }
+
+  finish(code, reason) {
+    if (this.readyState === WebSocket.CLOSED) return;
+    this.readyState = WebSocket.CLOSED;
+    this.dispatchEvent(new CloseEvent("close", { code, reason }));
+  }
+}
+
+// A WebSocket that never got a message through - failed upgrade, a proxy that cuts it right away,
+// but also a restarting server or a rate-limited upgrade (429). The next attempt tries HTTP polling:
+// we only stay there if its POST /poll gets through (see notePollingFailure)
+function countWebSocketFailure() {
+  failedWebSocketAttempts++;
+  if (useHttpTransport || failedWebSocketAttempts < CONFIG.WS_FAILURES_BEFORE_FALLBACK) return;
+  logWarn(`📮 WebSocket failed ${failedWebSocketAttempts} times in a row - trying HTTP polling`);
+  useHttpTransport = true;
+}
+
+// The polling session couldn't even be opened - the server is down or busy, not blocking WebSockets
+function notePollingFailure() {
+  logWarn("📮 HTTP polling didn't get through either - back to WebSocket");
+  useHttpTransport = false;
+  failedWebSocketAttempts = 0;
+}
+
+// The network may have changed (or the WebSocket failures were a server restart after all): reconnect
+// over a WebSocket now and then - one more failure brings us straight back to polling
+function scheduleWebSocketRetry(socket) {
+  clearWebSocketRetry();
+  webSocketRetryTimeout = setTimeout(() => {
+    webSocketRetryTimeout = null;
+    if (ws !== socket || socket.readyState !== WebSocket.OPEN) return;
+    log("📮 Trying the WebSocket again...");
+    useHttpTransport = false;
+    failedWebSocketAttempts = CONFIG.WS_FAILURES_BEFORE_FALLBACK - 1;
+    socket.close(); // Keeps our seat - the close handler reconnects
+  }, CONFIG.WS_RETRY_INTERVAL);
+}
+
+function clearWebSocketRetry() {
+  if (webSocketRetryTimeout) {
+    clearTimeout(webSocketRetryTimeout);
+    webSocketRetryTimeout = null;
+  }
+}
+
 // ====== WebSocket setup ======
 function initWebSocket() {
-  ws = new WebSocket(wsUrl);
+  const isHttpTransport = useHttpTransport;
+  const socket = isHttpTransport ? new PollingSocket(getSignalingQuery()) : new WebSocket(getWebSocketUrl());
+  ws = socket;
+  let opened = false;
+  let gotMessage = false; // anything came through - the transport works on this network
+  // Packed frames of this socket, and the queue keeping messages in order while one is decompressed
+  const unpacker = LiteCallProtocol.createUnpacker();
+  let receiveChain = Promise.resolve();
 
   ws.addEventListener("open", () => {
-    log("✅ WS open");
+    log(isHttpTransport ? "✅ HTTP polling session open" : "✅ WS open");
+    opened = true;
     reconnectAttempts = 0;
-    flushQueue();
+    if (isHttpTransport) {
+      scheduleWebSocketRetry(socket);
+    }
+    passcodeAutoSubmitted = false;
+    startHeartbeat(socket);
+    startMediaStateReports(socket);
     // Start getting media stream immediately (for host, this shows their video right away)
     // We'll determine host/client role from room-info, but no need to wait for it to start streaming
     if (!localStream && !isRequestingMedia) {
       isRequestingMedia = true;
       log("🎥 Starting media stream immediately...");
-      // Get media stream first, then we'll create peer when we know our role
+      // Get media stream first, then we'll create peers when we know the room members
       navigator.mediaDevices
-        .getUserMedia({
-          video: CONFIG.VIDEO,
-          audio: CONFIG.AUDIO,
-        })
+        .getUserMedia(getMediaConstraints())
         .then(async (stream) => {
           isRequestingMedia = false;
           localStream = stream;
           localVideo.srcObject = stream;
           log("🎥 Local stream ready");
-          
+
           // On mobile, ensure local video has proper attributes for autoplay
           if (localVideo) {
             localVideo.setAttribute("playsinline", "true");
             localVideo.setAttribute("webkit-playsinline", "true");
             localVideo.style.display = "block";
-            
+
             // Ensure local video plays on mobile
             const localPlayPromise = localVideo.play();
             if (localPlayPromise !== undefined) {
@@ -303,7 +1269,7 @@ function initWebSocket() {
               });
             }
           }
-          
+
           // If we're the host (will be confirmed by room-info), make waiting screen semi-transparent
           // so the video shows through while keeping the link widget visible
           // For clients joining existing room: waiting screen is already hidden, so just show local video
@@ -311,7 +1277,7 @@ function initWebSocket() {
             waitingScreen.classList.add("host-streaming");
             log("✨ Making waiting screen semi-transparent so video shows through");
           }
-          
+
           // For clients: when camera is accepted, hide waiting screen (and loading spinner) and show controls
           if (!isHost && waitingScreen) {
             log("👤 Client: camera accepted, hiding waiting screen and showing controls...");
@@ -324,37 +1290,21 @@ function initWebSocket() {
               controls.style.visibility = "visible";
             }
           }
-          
+
           // Keep waiting screen visible for host - don't hide it yet
           // Host: we'll keep it visible until client joins (so they can share the link)
           // Client: it should already be hidden if joining existing room
-          
-          // IMPORTANT: Create peer connection when stream is ready
-          // For client: if we have queued signals (offer received before stream was ready), process them
-          // For client: even without queued signals, create peer to be ready for incoming offer
-          // For host: create peer to generate offer
-          const peerIsValid = isPeerValid(peer);
-          if (!peerIsValid) {
-            if (queuedIncomingSignals.length > 0) {
-              log(`⚡ Stream ready with ${queuedIncomingSignals.length} queued signals - creating peer immediately...`);
-            } else if (isHost) {
-              log("⚡ Host stream ready - creating peer connection...");
-            } else {
-              log("⚡ Client stream ready - creating peer connection (will process offer when received)...");
-            }
-            if (peer && peer.destroyed) {
-              peer = null; // Clean up destroyed peer reference
-            }
-            createPeerConnection(stream);
-          } else {
-            log("✅ Peer already exists and is valid, stream ready");
-          }
-          
+
+          // IMPORTANT: Create peer connections when stream is ready
+          // Signals that arrived before the stream are queued per member and processed on creation
+          log(`⚡ Stream ready - creating peer connections for ${Math.max(0, roomMembers.length - 1)} members...`);
+          syncPeers();
+
           // Clear any existing timeout
           if (cameraEnumTimeout) {
             clearTimeout(cameraEnumTimeout);
           }
-          
+
           // Enumerate cameras in background (non-blocking) for switch button
           cameraEnumTimeout = setTimeout(async () => {
             cameraEnumTimeout = null;
@@ -387,44 +1337,167 @@ function initWebSocket() {
     }
   });
 
-  ws.addEventListener("message", (event) => {
+  ws.addEventListener("message", async (event) => {
+    if (ws !== socket) return; // Late message on an abandoned socket
+    lastServerMessageAt = Date.now();
+    if (!gotMessage) {
+      gotMessage = true;
+      if (!isHttpTransport) {
+        failedWebSocketAttempts = 0;
+      }
+    }
     try {
-      const data = JSON.parse(event.data);
-      
+      const frame = JSON.parse(event.data);
+      // Every message waits for the ones before it - a packed offer may still be decompressing
+      // A sealed signal is opened in the chain too - a candidate must not overtake its offer
+      const received = receiveChain.then(async () => {
+        const message = frame.type === "packed" ? await unpackFrame(unpacker, frame) : frame;
+        return message && message.type === "sealed" ? openSealedSignal(message) : message;
+      });
+      receiveChain = received.catch(() => {});
+      let data;
+      try {
+        data = await received;
+      } catch (err) {
+        logWarn(`⚠️ Dropping broken packed message: ${err.message}`);
+        return;
+      }
+      if (!data || ws !== socket) return;
+
+      // Heartbeat reply - nothing else to do, receiving it is enough
+      if (data.type === "pong") {
+        return;
+      }
+
+      // The room is protected - we're not in it until the server accepts our passcode
+      if (data.type === "passcode-required") {
+        handlePasscodeRequired(data);
+        return;
+      }
+
+      // No seat left for us
+      if (data.type === "room-full") {
+        logWarn(`🈵 Room is full (max ${data.maxParticipants} participants)`);
+        showRoomMessage(
+          "This call is full",
+          `This call already has the maximum of ${data.maxParticipants} participants. Try again when someone leaves.`
+        );
+        return;
+      }
+
+      // Other participants coming and going
+      if (data.type === "peer-left") {
+        handlePeerLeft(data.peerId, data.reason);
+        return;
+      }
+      if (data.type === "peer-reconnecting" || data.type === "peer-reconnected") {
+        setPeerReconnecting(data.peerId, data.type === "peer-reconnecting");
+        return;
+      }
+
+      // The call is about to hit its time limit
+      if (data.type === "call-ending") {
+        showCallEndingWarning(data.remaining);
+        return;
+      }
+
+      // The host has to let us in
+      if (data.type === "lobby-waiting") {
+        handleLobbyWaiting();
+        return;
+      }
+
+      // Host: someone is waiting in the lobby / gave up waiting
+      if (data.type === "knock") {
+        showKnockRequest(data.knockId, data.name);
+        return;
+      }
+      if (data.type === "knock-cancelled") {
+        removeKnockRequest(data.knockId);
+        return;
+      }
+
+      if (data.type === "passcode-set") {
+        if (data.ok) {
+          log("🔒 Room is now protected with a passcode");
+        } else {
+          logWarn(`⚠️ Failed to set room passcode: ${data.error}`);
+        }
+        return;
+      }
+
       // Log all incoming WebSocket messages for debugging (except room-info to reduce noise)
       if (data.type !== "room-info") {
-        log(`📨 Received WebSocket message: ${data.type || 'unknown'} (${JSON.stringify(data).length} bytes)`);
+        log(`📨 Received WebSocket message: ${data.type || 'unknown'} from ${data.from || 'server'} (${JSON.stringify(data).length} bytes)`);
       }
-      
+
       // Handle room-info message from server
       if (data.type === "room-info") {
         const wasHost = isHost;
-        const newClientJoined = data.newClientJoined || false;
-        
-        // IMPORTANT: Only update role if this is NOT a new-client-joined notification
-        // During reconnection notifications, preserve the existing role to prevent host->client flip
-        if (!newClientJoined) {
-          // Initial connection - accept role from server
-          isHost = data.isFirst;
-        } else {
-          // Reconnection notification - preserve existing role (server should send correct role, but be defensive)
-          // Only update if server says we should be host and we currently aren't (in case host was reassigned)
-          if (data.isFirst && !wasHost) {
-            log(`🔄 Server indicates role change to Host - accepting`);
-            isHost = true;
-          } else if (!data.isFirst && wasHost) {
-            // Server says we're not host, but we think we are - preserve our role (defensive)
-            log(`🔒 Preserving Host role - server says isFirst=${data.isFirst} but we are host`);
-            isHost = true;
-          } else {
-            // Role matches or no change needed
-            log(`🔒 Preserving existing role (${wasHost ? "Host" : "Client"}) during new client notification`);
+
+        // The server keeps our seat across reconnects (session token), so its role is authoritative
+        isHost = data.isFirst;
+        // A new session comes with a new mailbox, numbered from 1 again
+        if (data.token && data.token !== sessionToken) {
+          lastSignalSeq = 0;
+          // ...and a new peer id, so the others count their sealed signals to us from 1 again
+          openedCounters.clear();
+        }
+        sessionToken = data.token || sessionToken;
+
+        // We're in - remember the passcode that got us here
+        if (passcodeScreen) {
+          passcodeScreen.classList.add("hidden");
+        }
+        if (lobbyScreen) {
+          lobbyScreen.classList.add("hidden");
+        }
+        knockName = null;
+        // We (re)joined after the end-of-call warning went out
+        if (typeof data.callEndsIn === "number") {
+          showCallEndingWarning(data.callEndsIn);
+        }
+        if (pendingPasscode) {
+          storePasscode(pendingPasscode);
+          pendingPasscode = null;
+        }
+
+        // Creator chose a passcode on the home page - protect the room before anyone else joins
+        if (isHost && !data.hasPasscode && !passcodeSetRequested) {
+          const passcode = getStoredPasscode();
+          if (passcode) {
+            passcodeSetRequested = true;
+            log("🔒 Setting room passcode...");
+            safeSend(JSON.stringify({ type: "set-passcode", passcode }));
           }
         }
-        
-        log(`📋 Room info: isFirst=${data.isFirst}, totalClients=${data.totalClients}, newClientJoined=${newClientJoined}`);
+        if (isHost && !data.lobby && !lobbySetRequested && getStoredLobby()) {
+          lobbySetRequested = true;
+          log("🚪 Enabling the lobby...");
+          safeSend(JSON.stringify({ type: "set-lobby", enabled: true }));
+        }
+        // Only the host answers knocks and removes participants
+        if (!isHost && knockRequests) {
+          knockRequests.replaceChildren();
+        }
+        remotesContainer.classList.toggle("is-host", isHost);
+
+        // Our seat expired while we were away - we're a new participant now, and the others
+        // have already dropped their connections to our old identity
+        if (myPeerId && data.peerId !== myPeerId) {
+          logWarn(`⚠️ Session was not resumed (old id ${myPeerId}, new id ${data.peerId}) - resetting peer connections`);
+          [...peers.keys()].forEach(removePeer);
+          queuedSignals = []; // Addressed from our old identity
+        }
+        myPeerId = data.peerId;
+        // Signals queued while the WebSocket was down are sent once we know our seat is back
+        flushQueue();
+        roomMembers = Array.isArray(data.members) ? data.members : [];
+
+        log(`📋 Room info: isFirst=${data.isFirst}, totalClients=${data.totalClients}, resumed=${!!data.resumed}`);
+        log(`📋 Members: ${roomMembers.join(", ")} (we are ${myPeerId})`);
         log(`👤 Role: ${isHost ? "Host" : "Client"} (was ${wasHost ? "Host" : "Client"})`);
-        
+
         // For host: show controls and local video, but KEEP waiting screen visible
         // until a client actually joins (so host can share the link)
         if (isHost && waitingScreen) {
@@ -450,10 +1523,10 @@ function initWebSocket() {
             localVideo.style.display = "block";
           }
         }
-        
+
         // If client joins and host is already active (totalClients > 1), hide link widget but show loading spinner
         // Client should never see "share link" widget - show loading spinner until streaming starts
-        if (!isHost && data.totalClients > 1 && waitingScreen) {
+        if (!isHost && data.totalClients > 1 && waitingScreen && !localStream) {
           log("👥 Host already active, showing loading spinner for client (client joining existing room)...");
           // Hide the link widget and title - show loading spinner
           if (linkWidget) {
@@ -471,377 +1544,1690 @@ function initWebSocket() {
           // Don't show controls yet - wait for camera permission
           // Local video will be shown once getUserMedia succeeds
         }
-        
+
         // For host: if totalClients > 1, a client has joined - hide waiting screen
         if (isHost && data.totalClients > 1 && waitingScreen) {
           log("👥 Client has joined (totalClients > 1) - hiding waiting screen with link widget");
           waitingScreen.classList.add("hidden");
         }
-        
-        // IMPORTANT: If host detects a new client joined and we don't have a valid peer, recreate it
-        // This handles reconnection scenarios where host's peer was closed/destroyed
-        if (isHost && newClientJoined && localStream) {
-          const peerIsValid = isPeerValid(peer);
-          if (!peerIsValid) {
-            log("🔄 Host detected new client joined but peer is invalid/destroyed - recreating peer connection...");
-            const hasRemoteStream = remoteVideo && remoteVideo.srcObject;
-            if (hasRemoteStream) {
-              log("🔄 Clearing stale remote stream before recreating peer...");
-              clearStaleRemoteStream();
-            }
-            // Clear queued signals from previous connection
-            queuedIncomingSignals = [];
-            // Set peer to null to ensure clean recreation
-            peer = null;
-            createPeerConnection(localStream);
-            return; // Don't continue with normal peer creation below
-          } else {
-            log("✅ Host peer is valid, client will reconnect to existing peer");
-          }
-        }
-        
-        // Now that we know our role, create peer connection if we have a stream
-        // (Stream might already be ready from WS open handler)
-        // IMPORTANT: Don't call initPeer() here if localStream doesn't exist - it's already being requested in WS open handler
-        const peerIsValid = isPeerValid(peer);
-        if (localStream && !peerIsValid) {
-          log(`⚡ ${isHost ? "Host" : "Client"} detected, creating peer connection with stream...`);
-          if (peer && peer.destroyed) {
-            peer = null; // Clean up destroyed peer reference
-          }
-          createPeerConnection(localStream);
-        } else if (peerIsValid) {
-          log(`ℹ️ Valid peer already exists (${isHost ? "Host" : "Client"}), skipping creation`);
-        }
-        // Note: We don't call initPeer() here because getUserMedia is already being requested in WS open handler
-        // This prevents duplicate permission requests
+
+        // Create peers for new members and drop the ones who left
+        // Note: if we don't have a stream yet, peers are created once getUserMedia resolves in WS open handler
+        syncPeers();
         return;
       }
-      
-      // Handle WebRTC signals
-      // Note: This handles late connections - if client connects 10+ minutes after host,
-      // the host's peer might have closed, but we can recreate it when signals arrive
-      const peerIsValid = isPeerValid(peer);
-      if (!peerIsValid) {
-        log(`🕓 No valid peer exists. Signal type: ${data.type || 'candidate'}, isHost: ${isHost}, hasLocalStream: ${!!localStream}`);
-        
-        // Clear peer reference if it's destroyed
-        if (peer && peer.destroyed) {
-          log("🧹 Cleaning up destroyed peer reference");
-          peer = null;
-        }
-        
-        // Clear any stale remote stream from previous connection
-        const hadStaleStream = clearStaleRemoteStream();
-        if (hadStaleStream) {
-          log("🔄 Cleared stale remote stream from previous connection");
-        }
-        
-        // For host (initiator) receiving answer when peer doesn't exist: this is likely a stale answer
-        // from a previous connection. Ignore it and create peer to generate new offer.
-        // For client (non-initiator): accept offers - we need them to connect
-        if (data.type === "answer" && isHost) {
-          log("⚠️ Host received answer but no valid peer exists - ignoring stale answer, will generate new offer");
-          recreatePeerConnection();
-          return;
-        }
-        
-        // For client: if we receive an offer but don't have a peer yet, queue it
-        // But we'll also check if it's stale when we create the peer
-        log(`🕓 Incoming signal queued (peer not ready yet): ${data.type || "candidate"}`);
-        queuedIncomingSignals.push(data);
-        log(`📋 Total queued signals: ${queuedIncomingSignals.length}`);
-        
-        // If we have a stream, create peer IMMEDIATELY to process signals
-        // This is critical for late connections - host can recreate peer when signals arrive
-        if (localStream) {
-          log("⚡ Creating peer immediately to process incoming signal (late connection support)...");
-          createPeerConnection(localStream);
-          // Signal will be processed in createPeerConnection after peer is created
-          return;
-        }
-        
-        // If no stream yet, start getting it (should already be starting from WS open)
-        if (!localStream) {
-          log("⚙️ Starting peer setup to process queued signals...");
-          initPeer();
-        }
+
+      // Handle WebRTC signals - every signal is relayed by the server with the sender's id
+      // Only well-formed signals reach the peer connection (see protocol.js)
+      const validation = LiteCallProtocol.validateRelayedSignal(data);
+      if (!validation.ok) {
+        logWarn(`⚠️ Ignoring invalid message ${data.type || 'unknown'}: ${validation.error}`);
         return;
       }
-      
-      // Peer exists - process signal immediately
-      // This is the normal connection flow - host should process answers normally
-      // Only ignore answers if we have BOTH a remote stream AND the peer is connected
-      // This prevents processing stale answers after connection is established
-      if (data.type === "answer") {
-        const hasRemoteStream = remoteVideo && remoteVideo.srcObject;
-        // Only ignore if we have remote stream AND peer is connected
-        // This means we have an active connection, so any additional answer is stale
-        if (hasRemoteStream && hasConnected) {
-          log("⚠️ Ignoring stale answer - active connection already established");
-          return;
-        }
-        // Note: We don't clear stream here if !hasConnected because:
-        // - During normal connection, hasConnected might not be set yet when answer arrives
-        // - The stream will be set when peer.on("stream") fires, which sets hasConnected
-        // - Clearing here would break normal connection flow
+      const { from: remoteId, seq, generation, ...signal } = validation.message;
+      // Replayed after a reconnect, but we handled it already
+      if (seq <= lastSignalSeq) {
+        log(`♻️ Skipping already handled ${signal.type} #${seq}`);
+        scheduleAck();
+        return;
       }
-      
-      // Check if peer is still valid before processing signal
-      if (!isPeerValid(peer)) {
-        log(`⚠️ Peer is invalid/destroyed, cannot process signal: ${data.type || "candidate"}`);
-        // Clean up destroyed peer reference
-        if (peer && peer.destroyed) {
-          peer = null;
-        }
-        // Queue signal for processing after peer recreation
-        log(`📋 Queueing signal for processing after peer recreation: ${data.type || "candidate"}`);
-        // For candidates, check if we already have this exact candidate to avoid duplicates
-        if (data.type === "candidate") {
-          const candidateStr = data.candidate?.candidate || '';
-          const isDuplicate = queuedIncomingSignals.some(s => 
-            s.type === "candidate" && s.candidate?.candidate === candidateStr
-          );
-          if (!isDuplicate) {
-            queuedIncomingSignals.push(data);
-            log(`📋 Queued candidate: ${candidateStr.substring(0, 50)}...`);
-          } else {
-            log(`⚠️ Skipping duplicate candidate: ${candidateStr.substring(0, 50)}...`);
-          }
-        } else {
-          // For non-candidate signals, check if we already have this signal
-          const isDuplicate = queuedIncomingSignals.some(s => 
-            s.type === data.type && 
-            (data.type === "offer" || data.type === "answer" ? s.sdp === data.sdp : false)
-          );
-          if (!isDuplicate) {
-            queuedIncomingSignals.push(data);
-          } else {
-            log(`⚠️ Skipping duplicate signal: ${data.type}`);
-          }
-        }
-        // Recreate peer if we have a stream
-        if (localStream) {
-          recreatePeerConnection();
-        } else if (!localStream) {
-          initPeer();
-        }
+      lastSignalSeq = seq;
+      scheduleAck();
+      if (remoteId === myPeerId) {
+        logWarn(`⚠️ Ignoring signal from ourselves: ${signal.type}`);
         return;
       }
-      
-      try {
-        log(`📥 Processing signal: ${data.type || "candidate"} (peer exists: ${!!peer}, hasConnected: ${hasConnected})`);
-        peer.signal(data);
-        log(`✅ Successfully processed signal: ${data.type || "candidate"}`);
-      } catch (err) {
-        console.error(`❌ Error processing signal ${data.type || "candidate"}:`, err);
-        // If peer was destroyed, we need to handle reconnection
-        if (err.message && err.message.includes("destroyed")) {
-          console.error("❌ Peer was destroyed, handling reconnection...");
-          log(`🔄 Peer destroyed. Signal type: ${data.type}, isHost: ${isHost}`);
-          
-          // Mark peer as destroyed
-          if (peer) {
-            peer.destroyed = true;
-          }
-          
-          // Clear stale remote stream if it exists
-          const hadStaleStream = clearStaleRemoteStream();
-          log(`🔄 Stale stream cleared: ${hadStaleStream}`);
-          
-          // For host receiving answer: ignore it, will generate new offer
-          // For client or other signals: queue them if no stale stream was cleared
-          if (data.type === "answer" && isHost) {
-            log("⚠️ Ignoring stale answer from previous connection (host will generate new offer)");
-            peer = null; // Clean up
-            recreatePeerConnection();
-          } else if (!hadStaleStream) {
-            // Only queue if we didn't have a stale stream (fresh connection attempt)
-            log(`📋 Queueing signal for processing after peer recreation: ${data.type || "candidate"}`);
-            if (!queuedIncomingSignals.includes(data)) {
-              queuedIncomingSignals.push(data);
-            }
-            peer = null; // Clean up
-            recreatePeerConnection();
-          } else {
-            // Had stale stream - recreate without queueing (stale signals already cleared)
-            log("🔄 Recreating peer without queueing (stale signals already cleared)");
-            peer = null; // Clean up
-            recreatePeerConnection();
-          }
-        } else {
-          console.error("Error signaling peer:", err);
+      // Still sealed = we couldn't open it; in the clear = not from someone who has the link's key
+      if (signal.type === "sealed" || (signalKeyPromise && !authenticatedSignals.has(data))) {
+        rejectSignal(remoteId, signal.type);
+        return;
+      }
+      // Authentic, but not new: the server relayed an earlier signal of theirs again
+      if (signalKeyPromise) {
+        const counter = authenticatedSignals.get(data);
+        if (counter <= (openedCounters.get(remoteId) || 0)) {
+          rejectSignal(remoteId, `replayed ${signal.type}`);
+          return;
         }
+        openedCounters.set(remoteId, counter);
       }
+      dispatchSignal(getPeerEntry(remoteId), generation, signal);
     } catch (err) {
       console.error("WS message parse error:", err);
     }
   });
 
-  ws.addEventListener("close", () => {
+  ws.addEventListener("close", (event) => {
+    if (!isHttpTransport && !gotMessage) {
+      countWebSocketFailure();
+    } else if (isHttpTransport && !opened) {
+      notePollingFailure();
+    }
+    // A socket abandoned by the heartbeat may close long after we've moved on
+    if (ws !== socket) return;
+    stopHeartbeat();
+    clearWebSocketRetry();
+    const closeMessage = ROOM_CLOSE_MESSAGES[event.code];
+    if (closeMessage) {
+      logWarn(`⛔ Server closed the connection: ${event.code} ${event.reason}`);
+      showRoomMessage(closeMessage.title, closeMessage.text);
+      return;
+    }
     logWarn("⚠️ WS closed, reconnecting...");
     scheduleReconnect();
   });
 
   ws.addEventListener("error", (e) => {
+    if (ws !== socket) return;
     console.error("⚠️ WS error:", e);
     scheduleReconnect();
   });
 }
 
-// ====== WebSocket reconnect ======
-function scheduleReconnect() {
-  if (reconnecting) return;
-  reconnecting = true;
-  reconnectAttempts++;
-  
-  // Clear any existing reconnect timeout
-  if (reconnectTimeout) {
-    clearTimeout(reconnectTimeout);
-  }
-  
-  const delay = Math.min(CONFIG.RECONNECT_DELAY_MAX, reconnectAttempts * CONFIG.RECONNECT_DELAY_BASE);
-  log(`🔁 Trying WS reconnect in ${delay / 1000}s...`);
-  reconnectTimeout = setTimeout(() => {
-    reconnecting = false;
-    reconnectTimeout = null;
-    initWebSocket();
-  }, delay);
+// ====== WebSocket heartbeat ======
+// A half-open connection (phone switched networks, NAT dropped the mapping) never fires "close",
+// so ping the server and reconnect if nothing comes back in time
+function startHeartbeat(socket) {
+  stopHeartbeat();
+  lastServerMessageAt = Date.now();
+  heartbeatInterval = setInterval(() => {
+    if (ws !== socket) {
+      stopHeartbeat();
+      return;
+    }
+    const silence = Date.now() - lastServerMessageAt;
+    if (silence > CONFIG.HEARTBEAT_TIMEOUT) {
+      logWarn(`💀 No response from server for ${silence}ms - connection is dead, reconnecting...`);
+      stopHeartbeat();
+      // Abandon the socket: its close event may take ages on a dead network
+      ws = null;
+      try {
+        socket.close();
+      } catch (_) {}
+      scheduleReconnect();
+      return;
+    }
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify({ type: "ping" }));
+    }
+  }, CONFIG.HEARTBEAT_INTERVAL);
 }
 
-// ====== Cleanup functions ======
-function cleanup() {
-  // Clear timeouts
-  if (reconnectTimeout) {
-    clearTimeout(reconnectTimeout);
-    reconnectTimeout = null;
-  }
-  if (cameraEnumTimeout) {
-    clearTimeout(cameraEnumTimeout);
-    cameraEnumTimeout = null;
-  }
-  
-  // Remove event listeners
-  if (fullscreenHandler) {
-    document.removeEventListener("fullscreenchange", fullscreenHandler);
-    fullscreenHandler = null;
+function stopHeartbeat() {
+  if (heartbeatInterval) {
+    clearInterval(heartbeatInterval);
+    heartbeatInterval = null;
   }
-  if (videoPlayingHandler) {
-    if (remoteVideo) {
-      remoteVideo.removeEventListener("playing", videoPlayingHandler);
-      remoteVideo.removeEventListener("loadedmetadata", videoPlayingHandler);
+}
+
+// ====== Media state reports ======
+// The server closes rooms where no media flows - tell it whether we're receiving anything
+function startMediaStateReports(socket) {
+  stopMediaStateReports();
+  reportedMediaFlowing = null; // New socket - the server needs to hear it again
+  mediaStateInterval = setInterval(async () => {
+    if (ws !== socket) {
+      stopMediaStateReports();
+      return;
     }
-    videoPlayingHandler = null;
-  }
-  
-  // Stop media tracks
-  if (localStream) {
-    localStream.getTracks().forEach(track => track.stop());
-    localStream = null;
+    const flowing = await isReceivingMedia();
+    if (ws !== socket || socket.readyState !== WebSocket.OPEN || flowing === reportedMediaFlowing) return;
+    reportedMediaFlowing = flowing;
+    log(`📊 Media ${flowing ? "is flowing" : "stopped flowing"}`);
+    socket.send(JSON.stringify({ type: "media-state", flowing }));
+  }, CONFIG.MEDIA_STATE_INTERVAL);
+}
+
+function stopMediaStateReports() {
+  if (mediaStateInterval) {
+    clearInterval(mediaStateInterval);
+    mediaStateInterval = null;
   }
-  
-  // Destroy peer connection
-  if (peer) {
+}
+
+// True if any peer connection received RTP since the last check
+async function isReceivingMedia() {
+  let flowing = false;
+  for (const entry of peers.values()) {
+    const pc = entry.pc;
+    if (!pc) continue;
     try {
-      peer.destroy();
+      let bytesReceived = 0;
+      const stats = await pc.getStats();
+      stats.forEach((report) => {
+        if (report.type === "inbound-rtp") {
+          bytesReceived += report.bytesReceived || 0;
+        }
+      });
+      if (bytesReceived > entry.lastBytesReceived) {
+        flowing = true;
+      }
+      entry.lastBytesReceived = bytesReceived;
     } catch (err) {
-      console.error("Error destroying peer:", err);
+      console.debug("Could not read stats:", err);
     }
-    peer = null;
   }
-  
-  // Close WebSocket
-  if (ws) {
-    try {
-      ws.close();
-    } catch (err) {
-      console.error("Error closing WebSocket:", err);
-    }
-    ws = null;
+  return flowing;
+}
+
+// ====== Call time limit ======
+function showCallEndingWarning(remaining) {
+  callEndsAt = Date.now() + remaining;
+  logWarn(`⏰ Call ends in ${Math.round(remaining / 1000)}s (time limit)`);
+  if (!callNotice) return;
+  updateCallEndCountdown();
+  callNotice.classList.remove("hidden");
+  if (!callEndCountdownInterval) {
+    callEndCountdownInterval = setInterval(updateCallEndCountdown, 1000);
   }
-  
-  // Reset state
-  queuedSignals = [];
-  queuedIncomingSignals = [];
-  isRecreatingPeer = false;
-  hasConnected = false;
-  reconnectAttempts = 0;
-  reconnecting = false;
 }
 
-// Cleanup on page unload
-window.addEventListener("beforeunload", cleanup);
-window.addEventListener("pagehide", cleanup);
+function updateCallEndCountdown() {
+  const seconds = Math.max(0, Math.ceil((callEndsAt - Date.now()) / 1000));
+  const minutes = Math.floor(seconds / 60);
+  callNotice.textContent = `This call ends in ${minutes}:${String(seconds % 60).padStart(2, "0")}`;
+}
 
-// ====== Peer setup ======
-function initPeer() {
-  // Don't start if already recreating
-  if (isRecreatingPeer) {
-    log("⚠️ Already recreating peer, skipping...");
+function hideCallEndingWarning() {
+  callEndsAt = null;
+  if (callEndCountdownInterval) {
+    clearInterval(callEndCountdownInterval);
+    callEndCountdownInterval = null;
+  }
+  if (callNotice) {
+    callNotice.classList.add("hidden");
+  }
+}
+
+// ====== Room passcode ======
+function getStoredPasscode() {
+  try {
+    return sessionStorage.getItem(PASSCODE_STORAGE_KEY);
+  } catch (_) {
+    return null; // Storage may be disabled (private mode)
+  }
+}
+
+function storePasscode(passcode) {
+  try {
+    sessionStorage.setItem(PASSCODE_STORAGE_KEY, passcode);
+  } catch (_) {}
+}
+
+function handlePasscodeRequired(data) {
+  log(`🔒 Passcode required${data.error ? ` (${data.error})` : ""}`);
+  if (waitingScreen) {
+    waitingScreen.classList.remove("show-loading");
+  }
+
+  // We know the passcode (we created the room or joined it before) - try it silently once
+  const storedPasscode = getStoredPasscode();
+  if (!data.error && storedPasscode && !passcodeAutoSubmitted) {
+    passcodeAutoSubmitted = true;
+    submitPasscode(storedPasscode);
     return;
   }
-  
-  if (peer) {
-    try {
-      const oldPeer = peer;
-      peer = null; // Set to null first to prevent close handler from recreating
-      oldPeer.destroy();
-    } catch (_) {}
+
+  let errorText = "";
+  if (data.error === "wrong-passcode") {
+    errorText = data.attemptsLeft ? `Wrong passcode - ${data.attemptsLeft} attempts left` : "Wrong passcode";
   }
-  
-  // Reset flags when starting new peer
-  hasConnected = false; // Reset connection status for new peer
+  showPasscodePrompt(errorText);
+}
 
-  // Get or reuse stream FIRST, then create peer connection
-  // IMPORTANT: Don't request media if we're already requesting it or already have it
-  if (!localStream && !isRequestingMedia) {
-    isRequestingMedia = true;
-    log("🎥 Requesting media stream...");
-    navigator.mediaDevices
-      .getUserMedia({
-        video: CONFIG.VIDEO,
-        audio: CONFIG.AUDIO,
-      })
-      .then(async (stream) => {
-        isRequestingMedia = false;
-        localStream = stream;
-        localVideo.srcObject = stream;
-        log("🎥 Local stream ready, creating peer connection...");
-        log("🎥 isHost =", isHost);
-        
-        // Show local video widget immediately
-        if (localVideo) {
-          localVideo.style.display = "block";
-        }
-        
-        // For host: show controls but KEEP waiting screen visible (so they can share link)
-        // Don't hide waiting screen here - it will be hidden when client joins
-        if (isHost && controls) {
-          controls.style.display = "flex";
-          controls.style.visibility = "visible";
-        }
-        
-        // Clear any existing timeout
-        if (cameraEnumTimeout) {
-          clearTimeout(cameraEnumTimeout);
-        }
-        
-        // Only create peer if one doesn't already exist (prevent race conditions)
-        // If peer already exists, it means getUserMedia resolved after peer was created
-        // from a queued signal or another initPeer() call
-        if (!peer) {
-          // Create peer connection immediately - don't wait for camera enumeration
-          createPeerConnection(stream);
-        } else {
-          log("⚠️ Peer already exists, skipping peer creation (race condition avoided)");
-        }
-        
-        // Enumerate cameras in background (non-blocking) for switch button
-        cameraEnumTimeout = setTimeout(async () => {
-          cameraEnumTimeout = null;
-          try {
-            const cameras = await getAvailableCameras();
-            availableCameras = cameras; // Update global variable
+function showPasscodePrompt(errorText) {
+  if (!passcodeScreen) return;
+  passcodeScreen.classList.remove("hidden");
+  passcodeError.textContent = errorText;
+  passcodeForm.classList.remove("wrong");
+  if (errorText) {
+    void passcodeForm.offsetWidth; // Restart the shake animation
+    passcodeForm.classList.add("wrong");
+  }
+  passcodeInput.disabled = false;
+  passcodeSubmit.disabled = false;
+  passcodeInput.focus();
+  passcodeInput.select();
+}
+
+function submitPasscode(passcode) {
+  if (!ws || ws.readyState !== WebSocket.OPEN) return;
+  pendingPasscode = passcode;
+  ws.send(JSON.stringify({ type: "passcode", passcode }));
+}
+
+if (passcodeForm) {
+  passcodeForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const passcode = passcodeInput.value;
+    if (!passcode) return;
+    // Disabled until the server answers (accepted -> room-info, rejected -> passcode-required)
+    passcodeInput.disabled = true;
+    passcodeSubmit.disabled = true;
+    submitPasscode(passcode);
+  });
+}
+
+// ====== Lobby ======
+function getStoredLobby() {
+  try {
+    return sessionStorage.getItem(LOBBY_STORAGE_KEY) === "1";
+  } catch (_) {
+    return false;
+  }
+}
+
+function handleLobbyWaiting() {
+  log("🚪 Waiting in the lobby - the host has to let us in");
+  if (waitingScreen) {
+    waitingScreen.classList.remove("show-loading");
+  }
+  if (passcodeScreen) {
+    passcodeScreen.classList.add("hidden");
+  }
+  if (!lobbyScreen) return;
+  lobbyScreen.classList.remove("hidden");
+
+  // We already knocked before a reconnect - knock again with the same name
+  if (knockName !== null) {
+    sendKnock(knockName);
+    return;
+  }
+  lobbyScreen.classList.remove("knocked");
+  knockNameInput.focus();
+}
+
+function sendKnock(name) {
+  if (!ws || ws.readyState !== WebSocket.OPEN) return;
+  knockName = name;
+  ws.send(JSON.stringify({ type: "knock", name }));
+  lobbyScreen.classList.add("knocked");
+}
+
+if (knockForm) {
+  knockForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    sendKnock(knockNameInput.value.trim());
+  });
+}
+
+// Host: "X wants to join" with admit/deny
+function showKnockRequest(knockId, name) {
+  if (!knockRequests || knockRequests.querySelector(`[data-knock-id="${CSS.escape(knockId)}"]`)) return;
+  log(`✊ ${name} wants to join`);
+
+  const request = document.createElement("div");
+  request.className = "knock-request";
+  request.dataset.knockId = knockId;
+
+  const text = document.createElement("div");
+  text.className = "knock-request-text";
+  text.textContent = `${name} wants to join`;
+  request.appendChild(text);
+
+  const answer = (admit) => {
+    safeSend(JSON.stringify({ type: admit ? "admit" : "deny", knockId }));
+    request.remove();
+  };
+
+  const admitBtn = document.createElement("button");
+  admitBtn.className = "copy-btn admit-btn";
+  admitBtn.textContent = "Admit";
+  admitBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    answer(true);
+  });
+  request.appendChild(admitBtn);
+
+  const denyBtn = document.createElement("button");
+  denyBtn.className = "copy-btn";
+  denyBtn.textContent = "Deny";
+  denyBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    answer(false);
+  });
+  request.appendChild(denyBtn);
+
+  knockRequests.appendChild(request);
+}
+
+function removeKnockRequest(knockId) {
+  if (!knockRequests) return;
+  const request = knockRequests.querySelector(`[data-knock-id="${CSS.escape(knockId)}"]`);
+  if (request) {
+    request.remove();
+  }
+}
+
+// The server won't let us in - stop everything and explain why instead of reconnecting
+function showRoomMessage(title, text) {
+  roomClosed = true;
+  cleanup();
+  if (waitingScreen) {
+    waitingScreen.classList.add("hidden");
+  }
+  if (passcodeScreen) {
+    passcodeScreen.classList.add("hidden");
+  }
+  if (lobbyScreen) {
+    lobbyScreen.classList.add("hidden");
+  }
+  if (controls) {
+    controls.style.display = "none";
+  }
+  localVideo.style.display = "none";
+  if (roomMessageScreen) {
+    roomMessageTitle.textContent = title;
+    roomMessageText.textContent = text;
+    roomMessageScreen.classList.remove("hidden");
+  }
+}
+
+// ====== Sealed signaling ======
+// With a #key in the link, offers, answers and candidates are encrypted before they reach the server:
+// it relays opaque "sealed" envelopes and can neither read the SDP (addresses, DTLS fingerprints)
+// nor alter it. Sender, recipient, generation and a per-recipient counter are authenticated along with
+// the payload: a signal can't be passed off as coming from someone else or redirected to another
+// member, and since the receiver only accepts counters above the last one it accepted, the server
+// can't replay an earlier signal either (it can still drop or delay signals)
+function getSealAdditionalData(fromId, toId, generation, counter) {
+  return new TextEncoder().encode(`litecall-signal|${fromId}|${toId}|${generation}|${counter}`);
+}
+
+// Sealing is asynchronous - the chain keeps the signals in the order they were produced
+function sendSealedSignal(remoteId, message, generation) {
+  const { to, generation: _generation, ...payload } = message;
+  const plainText = JSON.stringify(message);
+  pendingSeals++;
+  sealChain = sealChain
+    .then(async () => {
+      const key = await signalKeyPromise;
+      const iv = crypto.getRandomValues(new Uint8Array(12));
+      // Counted in the chain, so counters go out in increasing order
+      const counter = (sealCounters.get(remoteId) || 0) + 1;
+      sealCounters.set(remoteId, counter);
+      const ciphertext = await crypto.subtle.encrypt(
+        { name: "AES-GCM", iv, additionalData: getSealAdditionalData(myPeerId, remoteId, generation, counter) },
+        key,
+        new TextEncoder().encode(JSON.stringify(payload))
+      );
+      const validation = LiteCallProtocol.validateClientMessage({
+        type: "sealed",
+        iv: bytesToBase64(iv),
+        data: bytesToBase64(new Uint8Array(ciphertext)),
+        counter,
+        to: remoteId,
+        generation
+      });
+      if (!validation.ok) {
+        logWarn(`⚠️ Not sending sealed ${payload.type}: ${validation.error}`);
+        return;
+      }
+      // plainText: the signaling data channel is encrypted already (see sendOverChannel)
+      queueOrTransmit({ text: JSON.stringify(validation.message), plainText, remoteId, generation });
+    })
+    .catch((err) => {
+      console.error(`❌ Could not seal ${payload.type} for ${remoteId}:`, err);
+    })
+    .finally(() => {
+      pendingSeals--;
+    });
+}
+
+// Returns the relayed signal with the sealed payload in place of the envelope (and remembers that
+// it was authenticated), or the sealed message itself if it can't be opened
+async function openSealedSignal(message) {
+  const validation = LiteCallProtocol.validateRelayedSignal(message);
+  if (!validation.ok || !signalKeyPromise) return message;
+  const { from, seq, generation, iv, data, counter } = validation.message;
+  try {
+    const key = await signalKeyPromise;
+    const plaintext = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: base64ToBytes(iv), additionalData: getSealAdditionalData(from, myPeerId, generation, counter) },
+      key,
+      base64ToBytes(data)
+    );
+    const payload = LiteCallProtocol.validateSealedPayload(JSON.parse(new TextDecoder().decode(plaintext)));
+    if (!payload.ok) {
+      logWarn(`⚠️ Sealed signal from ${from} holds an invalid payload: ${payload.error}`);
+      return message;
+    }
+    const signal = { ...payload.message, from, seq, generation };
+    authenticatedSignals.set(signal, counter);
+    return signal;
+  } catch (err) {
+    return message;
+  }
+}
+
+// A signal the server relayed that we can't trust: sealed with another key (or altered on the way),
+// or sent in the clear although the link has a key
+function rejectSignal(remoteId, type) {
+  rejectedSignals++;
+  logWarn(`🚨 Rejected ${type} from ${remoteId} - it failed authentication (${rejectedSignals} so far)`);
+  showPeerNotice("⚠️ Ignored a signaling message that failed authentication");
+}
+
+// ====== Security code (SAS) ======
+// Both sides derive the same short code from the two DTLS certificate fingerprints of their connection.
+// Reading it to each other proves nobody sits in the middle: a relay or the signaling server would
+// have to terminate DTLS with certificates of its own, and the two sides would see different codes
+async function computeSecurityCode(localFingerprint, remoteFingerprint) {
+  const input = [localFingerprint, remoteFingerprint].map((fingerprint) => fingerprint.toUpperCase()).sort().join("|");
+  const hash = new Uint8Array(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(`litecall-sas|${input}`)));
+  // 4 emoji x 6 bits
+  const bits = (hash[0] << 16) | (hash[1] << 8) | hash[2];
+  return [18, 12, 6, 0].map((shift) => SAS_EMOJI[(bits >> shift) & 63]);
+}
+
+// Called whenever a negotiation completes - the fingerprints are in the descriptions
+async function updateSecurityCode(entry, pc) {
+  if (!pc.localDescription || !pc.remoteDescription || !window.crypto || !crypto.subtle) return;
+  const localFingerprint = getSdpFingerprint(pc.localDescription.sdp);
+  const remoteFingerprint = getSdpFingerprint(pc.remoteDescription.sdp);
+  if (!localFingerprint || !remoteFingerprint) return;
+  const fingerprints = `${localFingerprint}|${remoteFingerprint}`;
+  if (entry.securityPc === pc && entry.securityFingerprints === fingerprints) return;
+
+  // Renegotiation on the same connection never changes certificates - unless someone swapped them
+  const changedMidCall = entry.securityPc === pc;
+  entry.securityPc = pc;
+  entry.securityFingerprints = fingerprints;
+  const words = await computeSecurityCode(localFingerprint, remoteFingerprint);
+  if (entry.pc !== pc || peers.get(entry.id) !== entry) return;
+  entry.securityCode = words;
+
+  const code = formatSecurityCode(words);
+  if (changedMidCall) {
+    setSecurityWarning(entry, "⚠️ The connection's certificate changed during the call - compare the code again");
+  } else if (entry.verifiedCode && entry.verifiedCode !== code) {
+    // A new connection (after they reloaded, say) legitimately has a new code, but so would an attacker
+    setSecurityWarning(entry, "⚠️ The security code changed since you verified it - compare it again");
+  }
+  log(`🛡️ Security code with ${entry.id}: ${code}`);
+  renderSecurityCode(entry);
+}
+
+function formatSecurityCode(words) {
+  return words.map(([emoji]) => emoji).join(" ");
+}
+
+function setSecurityWarning(entry, text) {
+  entry.securityWarning = text;
+  logWarn(`🚨 ${entry.id}: ${text}`);
+  showPeerNotice(text);
+}
+
+// We read the code to each other and it matches
+function verifySecurityCode(entry) {
+  if (!entry.securityCode) return;
+  const code = formatSecurityCode(entry.securityCode);
+  const names = entry.securityCode.map(([, name]) => name).join(", ");
+  if (!confirm(`Only confirm if the other person sees exactly the same code:\n\n${code}\n(${names})`)) return;
+  entry.verifiedCode = code;
+  entry.securityWarning = null;
+  log(`✅ Security code with ${entry.id} verified`);
+  renderSecurityCode(entry);
+}
+
+function renderSecurityCode(entry) {
+  const { security } = entry;
+  if (!entry.securityCode) {
+    security.root.classList.add("hidden");
+    return;
+  }
+  const code = formatSecurityCode(entry.securityCode);
+  const verified = entry.verifiedCode === code && !entry.securityWarning;
+  security.root.classList.remove("hidden");
+  security.root.classList.toggle("verified", verified);
+  entry.tile.classList.toggle("security-warning", !!entry.securityWarning);
+  security.code.textContent = verified ? `✅ ${code}` : code;
+  security.code.title = `Security code: ${entry.securityCode.map(([, name]) => name).join(", ")}`;
+  security.verifyBtn.style.display = verified ? "none" : "";
+  security.warning.textContent = entry.securityWarning || "";
+}
+
+// ====== Chat ======
+// Text messages go straight to the other participants over a data channel of each connection -
+// the server never sees them, and the history lives in this page only.
+// Every message is sent to the members present at the time and acknowledged by each of them;
+// until it is, it's sent again whenever the chat channel with that member (re)opens
+const CHAT_ID_PATTERN = /^[0-9a-f]{16}$/;
+
+// 8 random bytes as hex (chat messages, file transfers)
+function createRandomId() {
+  return Array.from(crypto.getRandomValues(new Uint8Array(8)), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+function sendChatMessage(text) {
+  const recipients = [...peers.keys()];
+  if (!text || recipients.length === 0) return false;
+  const message = {
+    id: createRandomId(),
+    from: myPeerId,
+    mine: true,
+    text,
+    sentAt: Date.now(),
+    pending: new Set(recipients), // members who haven't acknowledged it yet
+    undelivered: new Set(), // members who left before acknowledging it
+    sent: false, // went out over at least one channel
+    element: null,
+  };
+  chatMessages.push(message);
+  renderChatMessage(message);
+  recipients.forEach((remoteId) => sendChatTo(peers.get(remoteId), message));
+  updateChatStatus(message);
+  log(`💬 Sent chat message ${message.id} to ${recipients.length} member(s)`);
+  return true;
+}
+
+function sendChatTo(entry, message) {
+  const channel = entry && entry.chatChannel;
+  if (!channel || channel.readyState !== "open") return false;
+  try {
+    channel.send(JSON.stringify({ type: "chat", id: message.id, text: message.text, sentAt: message.sentAt }));
+    message.sent = true;
+    return true;
+  } catch (err) {
+    logWarn(`⚠️ Chat message to ${entry.id} not sent:`, err.message || err);
+    return false;
+  }
+}
+
+// The chat channel with a member (re)opened - send what they haven't acknowledged yet
+function resendChatMessages(entry) {
+  chatMessages.forEach((message) => {
+    if (message.mine && message.pending.has(entry.id) && sendChatTo(entry, message)) {
+      updateChatStatus(message);
+    }
+  });
+}
+
+// A member left for good - messages they didn't acknowledge won't reach them anymore
+function forgetChatRecipient(remoteId) {
+  chatMessages.forEach((message) => {
+    if (message.mine && message.pending.delete(remoteId)) {
+      message.undelivered.add(remoteId);
+      updateChatStatus(message);
+    }
+  });
+}
+
+function receiveChatMessage(entry, data) {
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch (err) {
+    logWarn(`⚠️ Ignoring malformed chat message from ${entry.id}`);
+    return;
+  }
+  if (!message || typeof message.id !== "string" || !CHAT_ID_PATTERN.test(message.id)) {
+    logWarn(`⚠️ Ignoring invalid chat message from ${entry.id}`);
+    return;
+  }
+
+  if (message.type === "chat-ack") {
+    const acked = chatMessages.find((m) => m.mine && m.id === message.id);
+    if (acked && acked.pending.delete(entry.id)) {
+      updateChatStatus(acked);
+    }
+    return;
+  }
+
+  if (message.type !== "chat" || typeof message.text !== "string" || !message.text.trim() ||
+    message.text.length > CONFIG.CHAT_MAX_LENGTH || !Number.isFinite(message.sentAt)) {
+    logWarn(`⚠️ Ignoring invalid chat message from ${entry.id}`);
+    return;
+  }
+
+  // Acknowledge every copy - a resend means our previous acknowledgment got lost with the old channel
+  try {
+    entry.chatChannel.send(JSON.stringify({ type: "chat-ack", id: message.id }));
+  } catch (err) {
+    // Channel closed in the meantime - they'll send it again once it reopens
+  }
+
+  const key = `${entry.id}:${message.id}`;
+  if (receivedChatIds.has(key)) return;
+  receivedChatIds.add(key);
+  const received = {
+    id: message.id,
+    from: entry.id,
+    mine: false,
+    text: message.text,
+    sentAt: Math.min(message.sentAt, Date.now()), // their clock may be ahead of ours
+    element: null,
+  };
+  chatMessages.push(received);
+  renderChatMessage(received);
+  log(`💬 Chat message ${message.id} from ${entry.id}`);
+
+  if (!isChatOpen()) {
+    unreadChatCount++;
+    updateChatBadge();
+  }
+}
+
+function getParticipantName(peerId) {
+  return `Participant ${peerId.slice(0, 4)}`;
+}
+
+function getChatSenderName(message) {
+  return message.mine ? "You" : getParticipantName(message.from);
+}
+
+// Message text with web links made clickable (as text nodes - never parsed as HTML)
+function appendLinkifiedText(parent, text) {
+  text.split(/(https?:\/\/[^\s<>"]+)/g).forEach((part, index) => {
+    if (index % 2 === 0) {
+      if (part) parent.appendChild(document.createTextNode(part));
+      return;
+    }
+    const link = document.createElement("a");
+    link.href = part;
+    link.textContent = part;
+    link.target = "_blank";
+    link.rel = "noopener noreferrer";
+    parent.appendChild(link);
+  });
+}
+
+function renderChatMessage(message) {
+  if (!chatMessagesList) return;
+  const item = document.createElement("li");
+  item.className = message.mine ? "chat-message mine" : "chat-message";
+
+  const meta = document.createElement("div");
+  meta.className = "chat-meta";
+  const time = new Date(message.sentAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+  meta.textContent = `${getChatSenderName(message)} · ${time}`;
+  item.appendChild(meta);
+
+  const body = document.createElement("div");
+  body.className = "chat-text";
+  appendLinkifiedText(body, message.text);
+  item.appendChild(body);
+
+  if (message.mine) {
+    const status = document.createElement("span");
+    status.className = "chat-status";
+    meta.appendChild(status);
+  }
+
+  message.element = item;
+  // Stay at the bottom only if the user hasn't scrolled up to read older messages
+  const atBottom = chatMessagesList.scrollHeight - chatMessagesList.scrollTop - chatMessagesList.clientHeight < 40;
+  chatMessagesList.appendChild(item);
+  if (atBottom || message.mine) {
+    chatMessagesList.scrollTop = chatMessagesList.scrollHeight;
+  }
+}
+
+// 🕓 waiting for a channel, ✓ sent, ✓✓ delivered to everyone, ⚠️ someone left before getting it
+function updateChatStatus(message) {
+  const status = message.element && message.element.querySelector(".chat-status");
+  if (!status) return;
+  if (message.pending.size === 0 && message.undelivered.size === 0) {
+    status.textContent = " ✓✓";
+    status.title = "Delivered";
+  } else if (message.pending.size === 0) {
+    status.textContent = " ⚠️";
+    status.title = "Not delivered to everyone - some left the call first";
+  } else if (message.sent) {
+    status.textContent = " ✓";
+    status.title = "Sent - not received by everyone yet";
+  } else {
+    status.textContent = " 🕓";
+    status.title = "Waiting for the connection";
+  }
+  status.classList.toggle("delivered", message.pending.size === 0 && message.undelivered.size === 0);
+}
+
+function isChatOpen() {
+  return !!chatPanel && !chatPanel.classList.contains("hidden");
+}
+
+function setChatOpen(open) {
+  if (!chatPanel) return;
+  chatPanel.classList.toggle("hidden", !open);
+  if (btnChat) {
+    btnChat.classList.toggle("active", open);
+  }
+  if (open) {
+    unreadChatCount = 0;
+    updateChatBadge();
+    chatMessagesList.scrollTop = chatMessagesList.scrollHeight;
+    if (!chatInput.disabled) {
+      chatInput.focus();
+    }
+  }
+}
+
+function updateChatBadge() {
+  if (!chatUnread) return;
+  chatUnread.textContent = unreadChatCount > 9 ? "9+" : String(unreadChatCount);
+  chatUnread.classList.toggle("hidden", unreadChatCount === 0);
+  if (btnChat) {
+    btnChat.title = unreadChatCount > 0 ? `Chat (${unreadChatCount} unread)` : "Chat";
+  }
+}
+
+// Nobody to send to while we're alone in the call
+function updateChatAvailability() {
+  if (!chatInput) return;
+  const alone = peers.size === 0;
+  chatInput.disabled = alone;
+  chatInput.placeholder = alone ? "Nobody else is in the call" : "Type a message";
+  if (chatSend) {
+    chatSend.disabled = alone;
+  }
+}
+
+if (btnChat) {
+  btnChat.addEventListener("click", (e) => {
+    e.stopPropagation();
+    setChatOpen(!isChatOpen());
+  });
+}
+
+if (chatClose) {
+  chatClose.addEventListener("click", () => setChatOpen(false));
+}
+
+if (chatForm) {
+  chatForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const text = chatInput.value.trim().slice(0, CONFIG.CHAT_MAX_LENGTH);
+    if (sendChatMessage(text)) {
+      chatInput.value = "";
+    }
+  });
+  chatInput.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") {
+      setChatOpen(false);
+    }
+  });
+}
+
+updateChatAvailability();
+
+// ====== File transfer ======
+// Files go straight to the other participants over a data channel of each connection, one transfer
+// per recipient. Control messages are JSON text; file data travels as binary frames of
+// [transfer id, 16 ASCII bytes][chunk], so several transfers can share the channel.
+//
+//   sender                                  receiver
+//   file-offer {id, name, size}       ->    Accept / Decline prompt
+//                                     <-    file-accept {id, offset} | file-decline {id}
+//   chunks from offset                ->
+//   file-end {id, sha256}             ->    checks the SHA-256 of what arrived
+//                                     <-    file-done {id, ok}
+//   file-cancel {id}                  <->   either side, at any time
+//
+// An ICE restart keeps the channel: data waits in its buffer (so the sender waits too) and flows again
+// once ICE reconnects. When a channel closes mid-transfer (the connection was recreated), the sender
+// offers every unfinished transfer again on the new channel and the receiver answers with the offset it got to
+const TRANSFER_ID_PATTERN = CHAT_ID_PATTERN;
+const SHA256_HEX_PATTERN = /^[0-9a-f]{64}$/;
+const FILE_TRANSFER_STATUS = {
+  out: {
+    offered: "Waiting for them to accept",
+    sending: "Sending",
+    interrupted: "Connection lost - continues when it's back",
+    verifying: "Checking the file...",
+    done: "Delivered",
+    declined: "Declined",
+    cancelled: "Cancelled",
+    failed: "Failed",
+  },
+  in: {
+    offered: "Wants to send you this file",
+    receiving: "Receiving",
+    verifying: "Checking the file...",
+    done: "Received",
+    declined: "Declined",
+    cancelled: "Cancelled",
+    failed: "Failed",
+  },
+};
+const UNFINISHED_OUTGOING_STATES = ["offered", "sending", "interrupted", "verifying"];
+
+function sendFiles(files) {
+  const recipients = [...peers.values()];
+  if (recipients.length === 0) {
+    showPeerNotice("Nobody else is in the call yet");
+    return;
+  }
+  files.forEach((file) => {
+    if (file.size > CONFIG.FILE_MAX_SIZE) {
+      showPeerNotice(`"${file.name}" is too large to send (up to ${formatFileSize(CONFIG.FILE_MAX_SIZE)})`);
+      return;
+    }
+    // One hash for all recipients, computed while they decide
+    const hashPromise = computeSha256(file).catch((err) => {
+      logWarn(`⚠️ Couldn't read ${file.name}:`, err.message || err);
+      return null;
+    });
+    recipients.forEach((entry) => {
+      const transfer = {
+        id: createRandomId(),
+        direction: "out",
+        peerId: entry.id,
+        name: file.name,
+        size: file.size,
+        file,
+        hashPromise,
+        state: "offered",
+        offset: 0, // next byte to send
+        pump: 0, // bumped to stop a running sendFileData loop
+        error: null,
+        ui: null,
+      };
+      outgoingFiles.set(transfer.id, transfer);
+      renderFileTransfer(transfer);
+      log(`📎 Offering ${file.name} (${file.size} bytes) to ${entry.id}`);
+      sendFileControl(entry, { type: "file-offer", id: transfer.id, name: transfer.name, size: transfer.size });
+    });
+  });
+}
+
+async function computeSha256(blob) {
+  const hash = new Uint8Array(await crypto.subtle.digest("SHA-256", await blob.arrayBuffer()));
+  return Array.from(hash, (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+function sendFileControl(entry, message) {
+  const channel = entry && entry.fileChannel;
+  if (!channel || channel.readyState !== "open") return false;
+  try {
+    channel.send(JSON.stringify(message));
+    return true;
+  } catch (err) {
+    logWarn(`⚠️ File transfer message to ${entry.id} not sent:`, err.message || err);
+    return false;
+  }
+}
+
+// The file channel with a member (re)opened - offer our unfinished transfers (again); the receiver
+// answers with the offset it got to, or with how it ended on its side
+function resumeFileTransfers(entry) {
+  outgoingFiles.forEach((transfer) => {
+    if (transfer.peerId !== entry.id || !UNFINISHED_OUTGOING_STATES.includes(transfer.state)) return;
+    sendFileControl(entry, { type: "file-offer", id: transfer.id, name: transfer.name, size: transfer.size });
+  });
+}
+
+// Wait until the channel's buffer drains below CONFIG.FILE_BUFFER_LOW - or it closes, or a second
+// passes (a channel closed along with its connection doesn't always fire "close")
+function waitForFileChannelDrain(channel) {
+  return new Promise((resolve) => {
+    const done = () => {
+      channel.removeEventListener("bufferedamountlow", done);
+      channel.removeEventListener("close", done);
+      clearTimeout(timeout);
+      resolve();
+    };
+    const timeout = setTimeout(done, 1000);
+    channel.addEventListener("bufferedamountlow", done);
+    channel.addEventListener("close", done);
+  });
+}
+
+// Send the file from offset on, never letting more than CONFIG.FILE_BUFFER_HIGH pile up in the channel
+async function sendFileData(entry, transfer, offset) {
+  const pump = ++transfer.pump;
+  const channel = entry.fileChannel;
+  const header = new TextEncoder().encode(transfer.id);
+  transfer.state = "sending";
+  transfer.offset = offset;
+  renderFileTransfer(transfer);
+  if (offset > 0) {
+    log(`📎 Resuming ${transfer.name} to ${entry.id} at ${offset} of ${transfer.size} bytes`);
+  }
+
+  const isCurrent = () => transfer.pump === pump && transfer.state === "sending";
+  const isChannelUsable = () => entry.fileChannel === channel && !!channel && channel.readyState === "open";
+  try {
+    while (transfer.offset < transfer.size) {
+      if (!isCurrent()) return;
+      if (!isChannelUsable()) {
+        setFileTransferState(transfer, "interrupted");
+        return;
+      }
+      if (channel.bufferedAmount > CONFIG.FILE_BUFFER_HIGH) {
+        await waitForFileChannelDrain(channel);
+        continue;
+      }
+      const end = Math.min(transfer.offset + CONFIG.FILE_CHUNK_SIZE, transfer.size);
+      const chunk = await transfer.file.slice(transfer.offset, end).arrayBuffer();
+      if (!isCurrent() || !isChannelUsable()) continue;
+      const frame = new Uint8Array(header.length + chunk.byteLength);
+      frame.set(header);
+      frame.set(new Uint8Array(chunk), header.length);
+      channel.send(frame);
+      transfer.offset = end;
+      updateFileProgress(transfer, transfer.offset - channel.bufferedAmount);
+    }
+
+    const sha256 = await transfer.hashPromise;
+    if (!isCurrent()) return;
+    if (!sha256) {
+      sendFileControl(entry, { type: "file-cancel", id: transfer.id });
+      setFileTransferState(transfer, "failed", "Couldn't read the file");
+      return;
+    }
+    if (!isChannelUsable()) {
+      setFileTransferState(transfer, "interrupted");
+      return;
+    }
+    channel.send(JSON.stringify({ type: "file-end", id: transfer.id, sha256 }));
+    setFileTransferState(transfer, "verifying");
+  } catch (err) {
+    logWarn(`⚠️ Sending ${transfer.name} to ${entry.id} interrupted:`, err.message || err);
+    if (isCurrent()) {
+      setFileTransferState(transfer, "interrupted");
+    }
+  }
+}
+
+function receiveFileMessage(entry, data) {
+  if (typeof data !== "string") {
+    receiveFileChunk(entry, data);
+    return;
+  }
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch (err) {
+    logWarn(`⚠️ Ignoring malformed file transfer message from ${entry.id}`);
+    return;
+  }
+  if (!message || typeof message.id !== "string" || !TRANSFER_ID_PATTERN.test(message.id)) {
+    logWarn(`⚠️ Ignoring invalid file transfer message from ${entry.id}`);
+    return;
+  }
+  const outgoing = outgoingFiles.get(message.id);
+  const sent = outgoing && outgoing.peerId === entry.id ? outgoing : null;
+  const incoming = incomingFiles.get(`${entry.id}:${message.id}`) || null;
+
+  switch (message.type) {
+    case "file-offer":
+      receiveFileOffer(entry, message, incoming);
+      break;
+    case "file-accept":
+      if (!sent || !UNFINISHED_OUTGOING_STATES.includes(sent.state)) {
+        // We reloaded or cancelled meanwhile - the receiver shouldn't wait for data
+        sendFileControl(entry, { type: "file-cancel", id: message.id });
+        return;
+      }
+      if (!Number.isInteger(message.offset) || message.offset < 0 || message.offset > sent.size) {
+        logWarn(`⚠️ Invalid resume offset for ${sent.name} from ${entry.id}`);
+        return;
+      }
+      sendFileData(entry, sent, message.offset);
+      break;
+    case "file-decline":
+      if (sent && UNFINISHED_OUTGOING_STATES.includes(sent.state)) {
+        setFileTransferState(sent, "declined");
+      }
+      break;
+    case "file-cancel":
+      if (sent && UNFINISHED_OUTGOING_STATES.includes(sent.state)) {
+        setFileTransferState(sent, "cancelled");
+      }
+      if (incoming && ["offered", "receiving", "verifying"].includes(incoming.state)) {
+        setFileTransferState(incoming, "cancelled");
+      }
+      break;
+    case "file-end":
+      if (incoming && incoming.state === "receiving" && typeof message.sha256 === "string" &&
+        SHA256_HEX_PATTERN.test(message.sha256)) {
+        verifyReceivedFile(entry, incoming, message.sha256);
+      }
+      break;
+    case "file-done":
+      if (sent && UNFINISHED_OUTGOING_STATES.includes(sent.state)) {
+        if (message.ok === true) {
+          setFileTransferState(sent, "done");
+        } else {
+          setFileTransferState(sent, "failed", "The file arrived damaged - send it again");
+        }
+      }
+      break;
+    default:
+      logWarn(`⚠️ Ignoring unknown file transfer message from ${entry.id}`);
+  }
+}
+
+function receiveFileOffer(entry, message, incoming) {
+  // Offered again on a new channel - tell the sender where we are
+  if (incoming) {
+    if (incoming.state === "receiving") {
+      sendFileControl(entry, { type: "file-accept", id: incoming.id, offset: incoming.received });
+    } else if (incoming.state === "done" || incoming.state === "failed") {
+      sendFileControl(entry, { type: "file-done", id: incoming.id, ok: incoming.state === "done" });
+    } else if (incoming.state === "declined") {
+      sendFileControl(entry, { type: "file-decline", id: incoming.id });
+    } else if (incoming.state === "cancelled") {
+      sendFileControl(entry, { type: "file-cancel", id: incoming.id });
+    }
+    return;
+  }
+
+  if (typeof message.name !== "string" || !message.name || message.name.length > 255 ||
+    !Number.isInteger(message.size) || message.size < 0) {
+    logWarn(`⚠️ Ignoring invalid file offer from ${entry.id}`);
+    return;
+  }
+  if (message.size > CONFIG.FILE_MAX_SIZE) {
+    logWarn(`⚠️ Declining ${message.size} byte file from ${entry.id} - too large`);
+    sendFileControl(entry, { type: "file-decline", id: message.id });
+    return;
+  }
+  const transfer = {
+    id: message.id,
+    direction: "in",
+    peerId: entry.id,
+    name: sanitizeFileName(message.name),
+    size: message.size,
+    state: "offered",
+    chunks: [],
+    received: 0, // bytes received so far - where the sender resumes
+    url: null, // object URL of the verified file
+    error: null,
+    ui: null,
+  };
+  incomingFiles.set(`${entry.id}:${transfer.id}`, transfer);
+  renderFileTransfer(transfer);
+  log(`📎 ${entry.id} offers ${transfer.name} (${transfer.size} bytes)`);
+  showPeerNotice(`📎 ${getParticipantName(entry.id)} wants to send you a file`);
+}
+
+function receiveFileChunk(entry, data) {
+  const bytes = new Uint8Array(data);
+  if (bytes.length < 16) return;
+  const id = new TextDecoder().decode(bytes.subarray(0, 16));
+  const transfer = incomingFiles.get(`${entry.id}:${id}`);
+  // Chunks still in flight after a cancel
+  if (!transfer || transfer.state !== "receiving") return;
+  const chunk = bytes.slice(16);
+  if (transfer.received + chunk.length > transfer.size) {
+    logWarn(`⚠️ ${entry.id} sent more of ${transfer.name} than announced`);
+    sendFileControl(entry, { type: "file-cancel", id: transfer.id });
+    setFileTransferState(transfer, "failed", "The sender sent more data than announced");
+    return;
+  }
+  transfer.chunks.push(chunk);
+  transfer.received += chunk.length;
+  updateFileProgress(transfer, transfer.received);
+}
+
+async function verifyReceivedFile(entry, transfer, sha256) {
+  setFileTransferState(transfer, "verifying");
+  const blob = new Blob(transfer.chunks, { type: "application/octet-stream" });
+  transfer.chunks = [];
+  let ok = transfer.received === transfer.size;
+  if (ok) {
+    try {
+      ok = (await computeSha256(blob)) === sha256;
+    } catch (err) {
+      logWarn(`⚠️ Couldn't check ${transfer.name}:`, err.message || err);
+      ok = false;
+    }
+  }
+  if (transfer.state !== "verifying") return; // cancelled meanwhile
+  sendFileControl(peers.get(transfer.peerId), { type: "file-done", id: transfer.id, ok });
+  if (!ok) {
+    logWarn(`🚨 ${transfer.name} from ${entry.id} failed the integrity check`);
+    setFileTransferState(transfer, "failed", "The file arrived damaged - ask them to send it again");
+    return;
+  }
+  // Always downloaded as a plain octet stream - a received HTML file must never open on our origin
+  transfer.url = URL.createObjectURL(blob);
+  log(`📎 Received ${transfer.name} from ${entry.id} (${transfer.size} bytes, SHA-256 ok)`);
+  setFileTransferState(transfer, "done");
+}
+
+function acceptFile(transfer) {
+  if (transfer.state !== "offered") return;
+  transfer.state = "receiving";
+  renderFileTransfer(transfer);
+  // If the channel is down, the sender offers the file again once it's back and we accept then
+  sendFileControl(peers.get(transfer.peerId), { type: "file-accept", id: transfer.id, offset: transfer.received });
+}
+
+function declineFile(transfer) {
+  if (transfer.state !== "offered") return;
+  sendFileControl(peers.get(transfer.peerId), { type: "file-decline", id: transfer.id });
+  setFileTransferState(transfer, "declined");
+}
+
+function cancelFileTransfer(transfer) {
+  sendFileControl(peers.get(transfer.peerId), { type: "file-cancel", id: transfer.id });
+  setFileTransferState(transfer, "cancelled");
+}
+
+// A member left for good - nothing more will come from or go to them
+function failFileTransfers(remoteId) {
+  const unfinished = (transfer) => transfer.peerId === remoteId &&
+    (transfer.direction === "out" ? UNFINISHED_OUTGOING_STATES : ["offered", "receiving", "verifying"]).includes(transfer.state);
+  [...outgoingFiles.values(), ...incomingFiles.values()].filter(unfinished).forEach((transfer) => {
+    setFileTransferState(transfer, "failed", `${getParticipantName(remoteId)} left the call`);
+  });
+}
+
+function setFileTransferState(transfer, state, error = null) {
+  transfer.state = state;
+  transfer.error = error;
+  if (!["offered", "sending", "interrupted", "verifying", "receiving"].includes(state)) {
+    // Finished one way or another - let go of the data
+    if (transfer.direction === "out") {
+      transfer.pump++;
+      transfer.file = null;
+      transfer.hashPromise = null;
+    } else {
+      transfer.chunks = [];
+    }
+    log(`📎 ${transfer.name} ${transfer.direction === "out" ? "to" : "from"} ${transfer.peerId}: ${state}${error ? ` (${error})` : ""}`);
+  }
+  renderFileTransfer(transfer);
+}
+
+function dismissFileTransfer(transfer) {
+  if (transfer.url) {
+    URL.revokeObjectURL(transfer.url);
+    transfer.url = null;
+  }
+  if (transfer.ui) {
+    transfer.ui.root.remove();
+  }
+  if (transfer.direction === "out") {
+    outgoingFiles.delete(transfer.id);
+  } else {
+    incomingFiles.delete(`${transfer.peerId}:${transfer.id}`);
+  }
+}
+
+// Keep the name from being a path, hidden file or full of control characters
+function sanitizeFileName(name) {
+  const cleaned = name.replace(/[\u0000-\u001f\u007f/\\]/g, "_").replace(/^\.+/, "").trim();
+  return cleaned || "file";
+}
+
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function renderFileTransfer(transfer) {
+  if (!fileTransfersList) return;
+  if (!transfer.ui) {
+    const root = document.createElement("div");
+    root.className = "file-transfer";
+    const title = document.createElement("div");
+    title.className = "file-transfer-name";
+    title.textContent = `${transfer.direction === "out" ? "⬆️" : "⬇️"} ${transfer.name}`;
+    title.title = transfer.name;
+    const info = document.createElement("div");
+    info.className = "file-transfer-info";
+    const progress = document.createElement("progress");
+    progress.max = 1;
+    progress.value = 0;
+    const actions = document.createElement("div");
+    actions.className = "file-transfer-actions";
+    root.append(title, info, progress, actions);
+    fileTransfersList.appendChild(root);
+    transfer.ui = { root, info, progress, actions };
+  }
+
+  const { root, info, progress, actions } = transfer.ui;
+  const status = transfer.error || FILE_TRANSFER_STATUS[transfer.direction][transfer.state];
+  const peer = `${transfer.direction === "out" ? "to" : "from"} ${getParticipantName(transfer.peerId)}`;
+  info.textContent = `${formatFileSize(transfer.size)} · ${peer} · ${status}`;
+  root.classList.toggle("failed", transfer.state === "failed");
+  progress.style.display = ["sending", "interrupted", "receiving", "verifying"].includes(transfer.state) ? "" : "none";
+  if (transfer.state === "verifying") {
+    progress.value = 1;
+  }
+
+  actions.textContent = "";
+  const addButton = (text, onClick, className = "") => {
+    const button = document.createElement("button");
+    button.className = `copy-btn ${className}`.trim();
+    button.textContent = text;
+    button.addEventListener("click", onClick);
+    actions.appendChild(button);
+  };
+  if (transfer.direction === "in" && transfer.state === "offered") {
+    addButton("Accept", () => acceptFile(transfer), "admit-btn");
+    addButton("Decline", () => declineFile(transfer));
+  } else if (["offered", "sending", "interrupted", "receiving", "verifying"].includes(transfer.state)) {
+    addButton("Cancel", () => cancelFileTransfer(transfer));
+  } else {
+    if (transfer.url) {
+      const save = document.createElement("a");
+      save.className = "copy-btn admit-btn";
+      save.href = transfer.url;
+      save.download = transfer.name;
+      save.textContent = "Save";
+      actions.appendChild(save);
+    }
+    addButton("✕", () => dismissFileTransfer(transfer));
+  }
+}
+
+function updateFileProgress(transfer, bytes) {
+  if (!transfer.ui || transfer.size === 0) return;
+  const value = Math.max(0, bytes) / transfer.size;
+  // Only touch the DOM once per percent
+  if (Math.floor(value * 100) !== Math.floor(transfer.ui.progress.value * 100)) {
+    transfer.ui.progress.value = value;
+  }
+}
+
+if (btnSendFile && fileInput) {
+  btnSendFile.addEventListener("click", (e) => {
+    e.stopPropagation();
+    fileInput.click();
+  });
+  fileInput.addEventListener("change", () => {
+    sendFiles([...fileInput.files]);
+    fileInput.value = "";
+  });
+}
+
+// Drop files anywhere on the page
+const isFileDrag = (e) => !!e.dataTransfer && [...e.dataTransfer.types].includes("Files");
+document.addEventListener("dragover", (e) => {
+  if (!isFileDrag(e)) return;
+  e.preventDefault();
+  e.dataTransfer.dropEffect = peers.size > 0 ? "copy" : "none";
+  if (fileDropOverlay && peers.size > 0) {
+    fileDropOverlay.classList.remove("hidden");
+  }
+});
+document.addEventListener("dragleave", (e) => {
+  // Left the window (moving between elements fires dragleave too)
+  if (!e.relatedTarget && fileDropOverlay) {
+    fileDropOverlay.classList.add("hidden");
+  }
+});
+document.addEventListener("drop", (e) => {
+  if (!isFileDrag(e)) return;
+  e.preventDefault();
+  if (fileDropOverlay) {
+    fileDropOverlay.classList.add("hidden");
+  }
+  if (e.dataTransfer.files.length > 0) {
+    sendFiles([...e.dataTransfer.files]);
+  }
+});
+
+// ====== Signal handling ======
+// Signals arrive from the server or, once connected, over the signaling data channel
+function dispatchSignal(entry, generation, signal) {
+  // The sender has replaced the connection this signal belongs to
+  if (generation < entry.remoteGeneration) {
+    log(`🗑️ Discarding stale ${signal.type} from ${entry.id} (generation ${generation} < ${entry.remoteGeneration})`);
+    return;
+  }
+  entry.remoteGeneration = generation;
+  handleSignal(entry, signal);
+}
+
+function queueIncomingSignal(entry, data) {
+  // For candidates, check if we already have this exact candidate to avoid duplicates
+  if (data.type === "candidate") {
+    const candidateStr = data.candidate?.candidate || '';
+    const isDuplicate = entry.queuedIncomingSignals.some(s =>
+      s.type === "candidate" && s.candidate?.candidate === candidateStr
+    );
+    if (isDuplicate) {
+      log(`⚠️ Skipping duplicate candidate: ${candidateStr.substring(0, 50)}...`);
+      return;
+    }
+  } else if (data.type === "offer" || data.type === "answer") {
+    // For non-candidate signals, check if we already have this signal
+    const isDuplicate = entry.queuedIncomingSignals.some(s => s.type === data.type && s.sdp === data.sdp);
+    if (isDuplicate) {
+      log(`⚠️ Skipping duplicate signal: ${data.type}`);
+      return;
+    }
+  }
+  entry.queuedIncomingSignals.push(data);
+  log(`📋 Queued ${data.type || "candidate"} from ${entry.id} (${entry.queuedIncomingSignals.length} total)`);
+}
+
+function handleSignal(entry, data) {
+  if (!isConnectionUsable(entry.pc)) {
+    log(`🕓 No usable peer connection for ${entry.id}. Signal type: ${data.type}, hasLocalStream: ${!!localStream}`);
+
+    // Clear any stale remote stream from previous connection
+    const hadStaleStream = clearStaleRemoteStream(entry);
+    if (hadStaleStream) {
+      log("🔄 Cleared stale remote stream from previous connection");
+    }
+
+    // An answer without a connection belongs to a previous negotiation.
+    // Ignore it - the new connection sends its own offer once it's created
+    if (data.type === "answer") {
+      log(`⚠️ Ignoring stale answer from ${entry.id} - creating a new connection instead`);
+      recreatePeerConnection(entry);
+      return;
+    }
+
+    queueIncomingSignal(entry, data);
+
+    // If we have a stream, create the connection IMMEDIATELY to process signals
+    if (localStream) {
+      log("⚡ Creating peer connection immediately to process incoming signal...");
+      createPeerConnection(entry, localStream);
+      // Signal will be processed in createPeerConnection after the connection is created
+      return;
+    }
+
+    // If no stream yet, start getting it (should already be starting from WS open)
+    log("⚙️ Starting peer setup to process queued signals...");
+    initPeer();
+    return;
+  }
+
+  const pc = entry.pc;
+
+  // A fresh offer from a member that recreated its connection can't be applied to ours:
+  // the DTLS fingerprint differs, so start over with a new connection and answer the offer
+  if (data.type === "offer" && pc.remoteDescription) {
+    const knownFingerprint = getSdpFingerprint(pc.remoteDescription.sdp);
+    const offeredFingerprint = getSdpFingerprint(data.sdp);
+    if (knownFingerprint && offeredFingerprint && knownFingerprint !== offeredFingerprint) {
+      log(`🔄 ${entry.id} started a new connection - recreating ours to answer the fresh offer`);
+      clearStaleRemoteStream(entry);
+      entry.queuedIncomingSignals = [data];
+      createPeerConnection(entry, localStream);
+      return;
+    }
+  }
+
+  entry.signalChain = entry.signalChain.then(() => applySignal(entry, pc, data));
+}
+
+// Apply one signal to the connection it was meant for (signals are chained per entry, so
+// descriptions are never applied concurrently)
+async function applySignal(entry, pc, data) {
+  if (entry.pc !== pc) return; // The connection was replaced while the signal waited
+
+  if (data.type === "candidate") {
+    try {
+      await pc.addIceCandidate(data.candidate);
+    } catch (err) {
+      // Candidates of an offer we ignored can't be added - that's expected
+      if (!entry.ignoreOffer) {
+        logWarn(`⚠️ Failed to add ICE candidate from ${entry.id}:`, err);
+      }
+    }
+    return;
+  }
+
+  // Glare: their offer collides with ours if we're making one or already sent one
+  const offerCollision = data.type === "offer" && (entry.makingOffer || pc.signalingState !== "stable");
+  entry.ignoreOffer = !entry.polite && offerCollision;
+  if (entry.ignoreOffer) {
+    log(`🤝 Ignoring colliding offer from ${entry.id} - they're polite and will answer ours`);
+    return;
+  }
+
+  // An answer when we're not waiting for one belongs to a previous negotiation
+  if (data.type === "answer" && pc.signalingState !== "have-local-offer") {
+    log(`⚠️ Ignoring stale answer from ${entry.id} - no offer pending`);
+    return;
+  }
+
+  try {
+    log(`📥 Applying ${data.type} from ${entry.id}${offerCollision ? " (rolling back our own offer)" : ""}`);
+    // A colliding offer rolls back our own one implicitly
+    await pc.setRemoteDescription({ type: data.type, sdp: data.sdp });
+    if (data.type === "offer") {
+      await pc.setLocalDescription();
+      sendLocalDescription(entry, pc);
+    }
+    log(`✅ Successfully applied ${data.type} from ${entry.id}`);
+  } catch (err) {
+    console.error(`❌ Error applying ${data.type} from ${entry.id}:`, err);
+  }
+}
+
+// Send our current offer/answer - only the connection's own generation may be stamped on it
+function sendLocalDescription(entry, pc) {
+  if (entry.pc !== pc || !pc.localDescription) return;
+  const { type, sdp } = pc.localDescription;
+  log(`📤 Sending signal to ${entry.id}: ${type} (SDP length: ${sdp.length} chars)`);
+  sendSignal(entry.id, { type, sdp }, entry.generation);
+}
+
+// ====== ICE restart ======
+// A broken network path (Wi-Fi -> LTE, NAT rebinding) is repaired with an ICE restart: new candidates
+// are negotiated on the same RTCPeerConnection, so the tracks we send and the remote stream on the
+// tile stay as they are - the tile just shows "Reconnecting..." over the last frame meanwhile
+function restartIce(entry, reason) {
+  const pc = entry.pc;
+  if (!isConnectionUsable(pc)) return;
+  if (entry.disconnectedTimeout) {
+    clearTimeout(entry.disconnectedTimeout);
+    entry.disconnectedTimeout = null;
+  }
+  // A restart is already under way - let it finish (it is retried if it doesn't recover)
+  if (entry.iceRestartTimeout) return;
+
+  log(`🧊 Restarting ICE with ${entry.id} (${reason})...`);
+  entry.iceRecovering = true;
+  entry.tile.classList.add("ice-restarting");
+  // Fires negotiationneeded - the offer carries new ICE credentials (see onnegotiationneeded)
+  // If the socket is down too, the offer waits in queuedSignals until it's back
+  pc.restartIce();
+
+  entry.iceRestartTimeout = setTimeout(() => {
+    entry.iceRestartTimeout = null;
+    if (entry.pc !== pc || isIceConnected(pc)) return;
+    restartIce(entry, "previous restart didn't recover");
+  }, CONFIG.ICE_RESTART_TIMEOUT);
+}
+
+function isIceConnected(pc) {
+  return pc.iceConnectionState === "connected" || pc.iceConnectionState === "completed";
+}
+
+// "disconnected" often recovers by itself within a few seconds - restart only if it lasts
+function scheduleIceRestart(entry) {
+  if (entry.disconnectedTimeout || entry.iceRestartTimeout) return;
+  const pc = entry.pc;
+  entry.iceRecovering = true;
+  entry.tile.classList.add("ice-restarting");
+  entry.disconnectedTimeout = setTimeout(() => {
+    entry.disconnectedTimeout = null;
+    if (entry.pc === pc && pc.iceConnectionState === "disconnected") {
+      restartIce(entry, `disconnected for ${CONFIG.ICE_DISCONNECTED_TIMEOUT / 1000}s`);
+    }
+  }, CONFIG.ICE_DISCONNECTED_TIMEOUT);
+}
+
+function clearIceRecovery(entry) {
+  if (entry.disconnectedTimeout) {
+    clearTimeout(entry.disconnectedTimeout);
+    entry.disconnectedTimeout = null;
+  }
+  if (entry.iceRestartTimeout) {
+    clearTimeout(entry.iceRestartTimeout);
+    entry.iceRestartTimeout = null;
+  }
+  entry.iceRecovering = false;
+  entry.tile.classList.remove("ice-restarting");
+}
+
+// Our network changed (came back online, switched interfaces) - the current candidate pairs
+// are probably dead even if ICE hasn't noticed yet, so restart every connection right away
+function handleNetworkChange(reason) {
+  if (networkChangeTimeout) {
+    clearTimeout(networkChangeTimeout);
+  }
+  // Several events fire for one switch - restart once the network has settled
+  networkChangeTimeout = setTimeout(() => {
+    networkChangeTimeout = null;
+    if (peers.size === 0) return;
+    log(`📶 Network changed (${reason}) - restarting ICE with ${peers.size} members`);
+    peers.forEach((entry) => {
+      if (!entry.pc || !entry.pc.remoteDescription) return; // Nothing negotiated yet
+      restartIce(entry, reason);
+    });
+  }, CONFIG.NETWORK_CHANGE_DELAY);
+}
+
+window.addEventListener("online", () => handleNetworkChange("back online"));
+window.addEventListener("offline", () => logWarn("📶 Network went offline"));
+if (navigator.connection && navigator.connection.addEventListener) {
+  navigator.connection.addEventListener("change", () => {
+    handleNetworkChange(`connection is now ${navigator.connection.effectiveType || navigator.connection.type || "different"}`);
+  });
+}
+
+// ====== WebSocket reconnect ======
+function scheduleReconnect() {
+  if (reconnecting || roomClosed) return;
+  reconnecting = true;
+  reconnectAttempts++;
+
+  // Clear any existing reconnect timeout
+  if (reconnectTimeout) {
+    clearTimeout(reconnectTimeout);
+  }
+
+  const delay = Math.min(CONFIG.RECONNECT_DELAY_MAX, reconnectAttempts * CONFIG.RECONNECT_DELAY_BASE);
+  log(`🔁 Trying WS reconnect in ${delay / 1000}s...`);
+  reconnectTimeout = setTimeout(() => {
+    reconnecting = false;
+    reconnectTimeout = null;
+    initWebSocket();
+  }, delay);
+}
+
+// ====== Cleanup functions ======
+function cleanup() {
+  // Clear timeouts
+  if (reconnectTimeout) {
+    clearTimeout(reconnectTimeout);
+    reconnectTimeout = null;
+  }
+  if (cameraEnumTimeout) {
+    clearTimeout(cameraEnumTimeout);
+    cameraEnumTimeout = null;
+  }
+  if (iceRefreshTimeout) {
+    clearTimeout(iceRefreshTimeout);
+    iceRefreshTimeout = null;
+  }
+  stopHeartbeat();
+  stopMediaStateReports();
+  clearWebSocketRetry();
+  hideCallEndingWarning();
+  if (peerNoticeTimeout) {
+    clearTimeout(peerNoticeTimeout);
+    peerNoticeTimeout = null;
+  }
+  if (networkChangeTimeout) {
+    clearTimeout(networkChangeTimeout);
+    networkChangeTimeout = null;
+  }
+
+  // Remove event listeners
+  if (fullscreenHandler) {
+    document.removeEventListener("fullscreenchange", fullscreenHandler);
+    fullscreenHandler = null;
+  }
+
+  // Stop media tracks
+  stopRecording();
+  if (screenShare) {
+    screenShare.stream.getTracks().forEach(track => track.stop());
+    screenShare = null;
+  }
+  if (localStream) {
+    localStream.getTracks().forEach(track => track.stop());
+    localStream = null;
+  }
+
+  // Destroy peer connections and remote tiles
+  [...peers.keys()].forEach(removePeer);
+
+  // Close WebSocket - a normal closure tells the server we hung up, so our seat is freed right away
+  if (ws) {
+    try {
+      ws.close(1000, "Hung up");
+    } catch (err) {
+      console.error("Error closing WebSocket:", err);
+    }
+    ws = null;
+  }
+
+  // Reset state
+  queuedSignals = [];
+  roomMembers = [];
+  sessionToken = null;
+  lastSignalSeq = 0;
+  if (ackTimeout) {
+    clearTimeout(ackTimeout);
+    ackTimeout = null;
+  }
+  reconnectAttempts = 0;
+  reconnecting = false;
+}
+
+// Cleanup on page unload
+window.addEventListener("beforeunload", cleanup);
+window.addEventListener("pagehide", cleanup);
+
+// ====== Peer setup ======
+function initPeer() {
+  // Get or reuse stream FIRST, then create peer connections
+  // IMPORTANT: Don't request media if we're already requesting it or already have it
+  if (!localStream && !isRequestingMedia) {
+    isRequestingMedia = true;
+    log("🎥 Requesting media stream...");
+    navigator.mediaDevices
+      .getUserMedia(getMediaConstraints())
+      .then(async (stream) => {
+        isRequestingMedia = false;
+        localStream = stream;
+        localVideo.srcObject = stream;
+        log("🎥 Local stream ready, creating peer connections...");
+        log("🎥 isHost =", isHost);
+
+        // Show local video widget immediately
+        if (localVideo) {
+          localVideo.style.display = "block";
+        }
+
+        // For host: show controls but KEEP waiting screen visible (so they can share link)
+        // Don't hide waiting screen here - it will be hidden when client joins
+        if (isHost && controls) {
+          controls.style.display = "flex";
+          controls.style.visibility = "visible";
+        }
+
+        // Clear any existing timeout
+        if (cameraEnumTimeout) {
+          clearTimeout(cameraEnumTimeout);
+        }
+
+        // Create peer connections immediately - don't wait for camera enumeration
+        // syncPeers skips members that already have a valid peer (prevents race conditions)
+        syncPeers();
+
+        // Enumerate cameras in background (non-blocking) for switch button
+        cameraEnumTimeout = setTimeout(async () => {
+          cameraEnumTimeout = null;
+          try {
+            const cameras = await getAvailableCameras();
+            availableCameras = cameras; // Update global variable
             if (cameras.length > 1 && btnSwitchCamera) {
               btnSwitchCamera.style.display = "block";
               log(`📹 Found ${cameras.length} cameras`);
@@ -862,880 +3248,787 @@ function initPeer() {
         }
       });
   } else if (localStream) {
-    log("🎥 Reusing existing stream, creating peer connection...");
-    createPeerConnection(localStream);
+    log("🎥 Reusing existing stream, creating peer connections...");
+    syncPeers();
   } else if (isRequestingMedia) {
-    log("🎥 Media request already in progress, will create peer when stream is ready");
-    // Don't do anything - the WS open handler will create the peer when stream is ready
+    log("🎥 Media request already in progress, will create peers when stream is ready");
+    // Don't do anything - the WS open handler will create the peers when stream is ready
   }
 }
 
-function createPeerConnection(stream) {
-  // Cleanup existing peer if any
-  if (peer) {
+// Set bitrate for better quality, prioritizing audio and video quality over frame rate
+// In a mesh our upload is shared between all members, so the video budget is split between them
+function applySenderBitrates(entry) {
+  if (!entry.pc) return;
+  const share = Math.max(1, peers.size);
+  entry.pc.getSenders().forEach(sender => {
+    if (!sender.track) return;
     try {
-      const oldPeer = peer;
-      peer = null; // Set to null first to prevent close handler from recreating
-      oldPeer.destroy();
-      // Mark as destroyed for cleanup
-      oldPeer.destroyed = true;
-    } catch (_) {}
-  }
-  
-  // Create peer connection
-  log("🔧 Creating peer connection. isHost =", isHost, "initiator =", isHost);
-  peer = new SimplePeer({
-    initiator: isHost,
-    trickle: CONFIG.TRICKLE,
-    config: {
-      iceServers: CONFIG.ICE_SERVERS
-    },
+      const params = sender.getParameters();
+      if (!params.encodings || params.encodings.length === 0) {
+        params.encodings = [{}];
+      }
+
+      if (sender.track.kind === 'audio') {
+        // Prioritize audio quality - ensure it works without issues
+        params.encodings[0].maxBitrate = 128000; // 128 kbps for high quality audio
+        params.encodings[0].minBitrate = 64000; // 64 kbps minimum
+        sender.setParameters(params).then(() => {
+          log(`✅ Audio bitrate set for ${entry.id}: min=64kbps, max=128kbps (prioritized)`);
+        }).catch(err => {
+          logWarn("⚠️ Failed to set audio bitrate:", err);
+        });
+      } else if (sender.track.kind === 'video') {
+        // Video: prioritize quality over frame rate
+        // Lower frame rate but higher bitrate per frame for better quality
+        const maxBitrate = Math.round((isMobileDevice ? 2500000 : 4000000) / share); // 2.5-4 Mbps in total
+        const minBitrate = Math.round((isMobileDevice ? 400000 : 800000) / share); // 0.4-0.8 Mbps in total
+        const maxFramerate = isMobileDevice ? 20 : 25; // Lower frame rate
+        params.encodings[0].maxBitrate = maxBitrate;
+        params.encodings[0].minBitrate = minBitrate;
+        params.encodings[0].maxFramerate = maxFramerate;
+        params.encodings[0].scaleResolutionDownBy = 1; // Don't scale down resolution
+        sender.setParameters(params).then(() => {
+          log(`✅ Video bitrate set for ${entry.id}: min=${minBitrate/1000}kbps, max=${maxBitrate/1000}kbps, maxFPS=${maxFramerate} (quality prioritized)`);
+        }).catch(err => {
+          logWarn("⚠️ Failed to set video bitrate:", err);
+        });
+      }
+    } catch (err) {
+      logWarn(`⚠️ Error setting ${sender.track.kind} bitrate:`, err);
+    }
   });
+}
+
+function createPeerConnection(entry, stream) {
+  // Cleanup existing connection if any
+  closeEntryConnection(entry);
+  entry.hasConnected = false;
 
-  log("🔧 New peer created. Initiator =", isHost);
-
-  // Set up ALL event handlers FIRST, before adding stream or processing signals
-  peer.on("signal", (data) => {
-      const msg = JSON.stringify(data);
-      // Log signal type only, not full content (makes logs easier to copy)
-      if (data.type === "offer" || data.type === "answer") {
-        log(`📤 Sending signal: ${data.type} (SDP length: ${data.sdp?.length || 0} chars)`);
-        // Log ICE candidates in SDP for debugging
-        if (data.sdp) {
-          const candidateCount = (data.sdp.match(/a=candidate:/g) || []).length;
-          log(`📤 SDP contains ${candidateCount} ICE candidates`);
+  // TURN credentials must be fetched (or refreshed) before the connection starts gathering candidates
+  // Queued signals stay on the entry and are processed once the connection is created
+  if (!hasFreshIceServers()) {
+    if (!entry.waitingForIceServers) {
+      entry.waitingForIceServers = true;
+      log(`🧊 Waiting for ICE servers before connecting to ${entry.id}...`);
+      loadIceServers().then(() => {
+        entry.waitingForIceServers = false;
+        if (peers.get(entry.id) === entry && !isConnectionUsable(entry.pc)) {
+          createPeerConnection(entry, localStream || stream);
         }
-      } else if (data.type === "candidate") {
-        const candidateStr = data.candidate?.candidate || '';
-        const candidateType = candidateStr.includes('typ host') ? 'host' : 
-                             candidateStr.includes('typ srflx') ? 'srflx' :
-                             candidateStr.includes('typ relay') ? 'relay' : 'unknown';
-        log(`📤 Sending signal: candidate (${candidateType}, ${candidateStr.substring(0, 50)}...)`);
+      });
+    }
+    return;
+  }
+
+  // Create peer connection
+  entry.polite = isPoliteTowards(entry.id);
+  log(`🔧 Creating peer connection with ${entry.id}. isHost = ${isHost}, polite = ${entry.polite}`);
+  // Chrome's older E2EE API has to be enabled when the connection is created
+  const pc = new RTCPeerConnection({ iceServers, encodedInsertableStreams: e2eeMode === "streams" });
+  entry.pc = pc;
+  entry.generation = ++signalGeneration;
+  entry.signalChain = Promise.resolve();
+  const generation = entry.generation;
+
+  // Set up ALL event handlers FIRST, before adding tracks or processing signals
+  // Every handler ignores a connection that has been replaced (entry.pc !== pc)
+
+  // Adding tracks (and any later change that needs it) fires this - whichever side it fires on
+  // sends the offer, collisions are sorted out in applySignal
+  pc.onnegotiationneeded = async () => {
+    if (entry.pc !== pc) return;
+    try {
+      entry.makingOffer = true;
+      await pc.setLocalDescription();
+      // Their offer may have rolled ours back in the meantime - then the answer was sent instead
+      if (pc.signalingState === "have-local-offer") {
+        const candidateCount = (pc.localDescription.sdp.match(/a=candidate:/g) || []).length;
+        log(`📤 SDP contains ${candidateCount} ICE candidates`);
+        sendLocalDescription(entry, pc);
+      }
+    } catch (err) {
+      console.error(`❌ Failed to create offer for ${entry.id}:`, err);
+    } finally {
+      if (entry.pc === pc) {
+        entry.makingOffer = false;
+      }
+    }
+  };
+
+  pc.onicecandidate = ({ candidate }) => {
+    // null = gathering finished, nothing to send
+    if (entry.pc !== pc || !candidate) return;
+    const candidateStr = candidate.candidate || '';
+    const candidateType = candidateStr.includes('typ host') ? 'host' :
+                         candidateStr.includes('typ srflx') ? 'srflx' :
+                         candidateStr.includes('typ relay') ? 'relay' : 'unknown';
+    log(`📤 Sending signal to ${entry.id}: candidate (${candidateType}, ${candidateStr.substring(0, 50)}...)`);
+    sendSignal(entry.id, { type: "candidate", candidate: candidate.toJSON() }, generation);
+  };
+
+  // Fires once per track - the audio and video tracks share one stream
+  pc.ontrack = ({ streams, receiver }) => {
+    if (entry.pc !== pc) return; // Track of a replaced connection
+    applyE2eeTransform(receiver, "decrypt");
+    const remoteStream = streams[0];
+    if (!remoteStream || entry.video.srcObject === remoteStream) return;
+    attachRemoteStream(entry, remoteStream);
+  };
+
+  pc.onconnectionstatechange = () => {
+    if (entry.pc !== pc) return;
+    log(`🧊 Connection state (${entry.id}):`, pc.connectionState);
+    if (pc.connectionState === "connected") {
+      log(`✅ Peer ${entry.id} connected!`);
+      entry.hasConnected = true; // Mark that we've successfully connected
+
+      // Set bitrate when connection is established - the member count may have changed since creation
+      setTimeout(() => {
+        peers.forEach(applySenderBitrates);
+      }, 500);
+    }
+  };
+
+  // A completed negotiation - check the certificates behind the security code
+  pc.onsignalingstatechange = () => {
+    if (entry.pc !== pc || pc.signalingState !== "stable") return;
+    updateSecurityCode(entry, pc).catch((err) => {
+      logWarn(`⚠️ Could not compute the security code for ${entry.id}:`, err);
+    });
+  };
+
+  pc.onicegatheringstatechange = () => {
+    if (entry.pc !== pc) return;
+    log(`🧊 ICE gathering (${entry.id}): ${pc.iceGatheringState}, connection: ${pc.iceConnectionState}, peer: ${pc.connectionState}`);
+  };
+
+  pc.oniceconnectionstatechange = () => {
+    if (entry.pc !== pc) return;
+    const state = pc.iceConnectionState;
+    log(`🧊 ICE conn (${entry.id}):`, state);
+    const video = entry.video;
+
+    // Log additional connection details for debugging
+    const localDescription = pc.localDescription;
+    const remoteDescription = pc.remoteDescription;
+    log(`🧊 ICE details - gathering: ${pc.iceGatheringState}, peer connection: ${pc.connectionState}`);
+    log(`🧊 SDP - local: ${localDescription ? localDescription.type : 'none'}, remote: ${remoteDescription ? remoteDescription.type : 'none'}`);
+
+    // Handle successful connection
+    if (state === "connected" || state === "completed") {
+      entry.hasConnected = true;
+      if (entry.iceRecovering) {
+        log(`✅ ICE connection with ${entry.id} recovered`);
+        clearIceRecovery(entry);
       } else {
-        log(`📤 Sending signal: ${data.type || 'unknown'}`);
+        log("✅ ICE connection established!");
       }
-      safeSend(msg);
-  });
 
-  peer.on("connect", () => {
-    log("✅ Peer connected!");
-    hasConnected = true; // Mark that we've successfully connected
-    
-    // Set bitrate when connection is established
-    // Prioritize audio quality, then video quality (lower frame rate but better quality)
-    setTimeout(() => {
-      if (peer && peer._pc) {
-        const senders = peer._pc.getSenders();
-        senders.forEach(sender => {
-          if (sender.track) {
-            try {
-              const params = sender.getParameters();
-              if (!params.encodings) {
-                params.encodings = [{}];
-              }
-              
-              if (sender.track.kind === 'audio') {
-                // Prioritize audio quality - ensure it works without issues
-                // Higher bitrate for audio to maintain quality
-                params.encodings[0].maxBitrate = 128000; // 128 kbps for high quality audio
-                params.encodings[0].minBitrate = 64000; // 64 kbps minimum
-                sender.setParameters(params).then(() => {
-                  log(`✅ Audio bitrate set: min=64kbps, max=128kbps (prioritized for quality)`);
-                }).catch(err => {
-                  logWarn("⚠️ Failed to set audio bitrate:", err);
-                });
-              } else if (sender.track.kind === 'video') {
-                // Video: prioritize quality over frame rate
-                // Lower frame rate but higher bitrate per frame for better quality
-                const maxBitrate = isMobileDevice ? 2500000 : 4000000; // 2.5-4 Mbps (lower for slower connections)
-                const minBitrate = isMobileDevice ? 400000 : 800000; // 0.4-0.8 Mbps
-                // Lower max frame rate to allow more bitrate per frame
-                const maxFramerate = isMobileDevice ? 20 : 25;
-                params.encodings[0].maxBitrate = maxBitrate;
-                params.encodings[0].minBitrate = minBitrate;
-                params.encodings[0].maxFramerate = maxFramerate;
-                // Prioritize quality over frame rate
-                params.encodings[0].scaleResolutionDownBy = 1; // Don't scale down resolution
-                sender.setParameters(params).then(() => {
-                  log(`✅ Video bitrate set: min=${minBitrate/1000}kbps, max=${maxBitrate/1000}kbps, maxFPS=${maxFramerate} (quality prioritized)`);
-                }).catch(err => {
-                  logWarn("⚠️ Failed to set video bitrate on connect:", err);
-                });
-              }
-            } catch (err) {
-              logWarn(`⚠️ Error setting ${sender.track.kind} bitrate on connect:`, err);
-            }
-          }
+      // Try to play remote video once ICE is connected (if it exists but isn't playing)
+      if (video.srcObject && video.paused) {
+        log("🎬 ICE connected - attempting to play remote video");
+        video.play().catch((err) => {
+          logWarn("⚠️ Failed to play video after ICE connection:", err);
         });
       }
-    }, 500);
+      return;
+    }
+
+    // "disconnected" is a normal intermediate state - give it a few seconds to recover by itself
+    if (state === "disconnected") {
+      log(`⚠️ ICE disconnected (may recover) - restarting in ${CONFIG.ICE_DISCONNECTED_TIMEOUT / 1000}s if it doesn't`);
+      scheduleIceRestart(entry);
+      return;
+    }
+
+    // "failed" means the current candidate pairs won't work anymore - look for new ones
+    if (state === "failed") {
+      restartIce(entry, "ICE failed");
+    }
+  };
+
+  // In-band signaling (see sendOverChannel) - negotiated with the same id on both sides,
+  // so it's part of the very first offer and neither side has to wait for ondatachannel
+  const signalChannel = pc.createDataChannel("signaling", { negotiated: true, id: CONFIG.SIGNAL_CHANNEL_ID });
+  entry.signalChannel = signalChannel;
+  signalChannel.onopen = () => {
+    if (entry.pc !== pc) return;
+    log(`📨 Signaling channel with ${entry.id} open - renegotiation no longer depends on the server`);
+  };
+  signalChannel.onclose = () => {
+    if (entry.pc !== pc) return;
+    logWarn(`📨 Signaling channel with ${entry.id} closed - signaling through the server again`);
+  };
+  signalChannel.onmessage = (event) => {
+    if (entry.pc !== pc) return;
+    receiveChannelSignal(entry, event.data);
+  };
+
+  // Chat (see sendChatMessage) - messages nobody acknowledged yet are sent again when it opens
+  const chatChannel = pc.createDataChannel("chat", { negotiated: true, id: CONFIG.CHAT_CHANNEL_ID });
+  entry.chatChannel = chatChannel;
+  chatChannel.onopen = () => {
+    if (entry.pc !== pc) return;
+    log(`💬 Chat channel with ${entry.id} open`);
+    resendChatMessages(entry);
+  };
+  chatChannel.onmessage = (event) => {
+    if (entry.pc !== pc) return;
+    receiveChatMessage(entry, event.data);
+  };
+
+  // File transfers (see sendFiles) - unfinished ones are offered again when it opens, and continue
+  // where the receiver got to
+  const fileChannel = pc.createDataChannel("files", { negotiated: true, id: CONFIG.FILE_CHANNEL_ID });
+  fileChannel.binaryType = "arraybuffer";
+  fileChannel.bufferedAmountLowThreshold = CONFIG.FILE_BUFFER_LOW;
+  entry.fileChannel = fileChannel;
+  fileChannel.onopen = () => {
+    if (entry.pc !== pc) return;
+    log(`📎 File channel with ${entry.id} open`);
+    resumeFileTransfers(entry);
+  };
+  fileChannel.onmessage = (event) => {
+    if (entry.pc !== pc) return;
+    receiveFileMessage(entry, event.data);
+  };
+
+  // Our call state (screen sharing, ...) - sent in full whenever it opens
+  const stateChannel = pc.createDataChannel("call-state", { negotiated: true, id: CONFIG.STATE_CHANNEL_ID });
+  entry.stateChannel = stateChannel;
+  stateChannel.onopen = () => {
+    if (entry.pc !== pc) return;
+    sendCallState(entry);
+  };
+  stateChannel.onmessage = (event) => {
+    if (entry.pc !== pc) return;
+    receiveCallState(entry, event.data);
+  };
+
+  // Add tracks after all handlers are set up - this fires negotiationneeded
+  // While we share our screen, a new connection gets the share instead of the camera
+  entry.outgoingStream = stream;
+  stream.getTracks().forEach((track) => {
+    const outgoingTrack = screenShare && track.kind === "video" ? screenShare.videoTrack : track;
+    applyE2eeTransform(pc.addTrack(outgoingTrack, stream), "encrypt");
   });
+  addScreenShareAudio(entry);
+  preferVp8(pc);
+  log("📹 Local tracks added to peer connection");
+
+  // Video budget depends on how many members we're sending to - update all senders
+  setTimeout(() => {
+    peers.forEach(applySenderBitrates);
+  }, 1000); // Wait a bit for connection to be ready
+
+  // Process any queued incoming signals right away, in order (applySignal chains them)
+  if (entry.queuedIncomingSignals.length > 0) {
+    log(`⚡ Processing ${entry.queuedIncomingSignals.length} queued signals from ${entry.id}...`);
+    log(`📋 Queued signals: ${entry.queuedIncomingSignals.map(s => s.type).join(', ')}`);
+    const signalsToProcess = [...entry.queuedIncomingSignals];
+    entry.queuedIncomingSignals = [];
+    signalsToProcess.forEach((signal) => handleSignal(entry, signal));
+  } else {
+    log(`📋 No queued signals to process`);
+  }
+}
 
-  peer.on("stream", async (stream) => {
-    log("🎬 Remote stream received");
+// ====== Remote video playback ======
+// Attach a remote member's stream to its tile and make sure it actually plays (mobile autoplay quirks)
+async function attachRemoteStream(entry, stream) {
+  const video = entry.video;
+  // Stop monitoring the previous stream of this member
+  if (entry.frozenFrameCheckInterval) {
+    clearInterval(entry.frozenFrameCheckInterval);
+    entry.frozenFrameCheckInterval = null;
+  }
+  log(`🎬 Remote stream received from ${entry.id}`);
+  
+  // Log stream details for debugging
+  const videoTracks = stream.getVideoTracks();
+  const audioTracks = stream.getAudioTracks();
+  log(`📊 Stream tracks: ${videoTracks.length} video, ${audioTracks.length} audio`);
+  if (videoTracks.length > 0) {
+    log(`📹 Video track: ${videoTracks[0].label || 'unnamed'}, enabled: ${videoTracks[0].enabled}, readyState: ${videoTracks[0].readyState}`);
+  }
+  if (audioTracks.length > 0) {
+    log(`🔊 Audio track: ${audioTracks[0].label || 'unnamed'}, enabled: ${audioTracks[0].enabled}, readyState: ${audioTracks[0].readyState}`);
+  }
+  
+  // Ensure controls are visible immediately
+  if (controls) {
+    controls.style.display = "flex";
+    controls.style.visibility = "visible";
+  }
+  
+  // On mobile, ensure video element has proper attributes BEFORE setting stream
+  video.setAttribute("playsinline", "true");
+  video.setAttribute("webkit-playsinline", "true");
+  video.setAttribute("autoplay", "true");
+  
+  // IMPORTANT: Clear previous stream first to prevent frozen frames
+  // This fixes the race condition where video freezes on one frame
+  if (video.srcObject && video.srcObject !== stream) {
+    log("🧹 Clearing previous remote stream to prevent frozen frames");
+    const oldStream = video.srcObject;
+    video.srcObject = null;
+    // Stop all tracks from old stream
+    oldStream.getTracks().forEach(track => {
+      track.stop();
+      log(`🛑 Stopped old ${track.kind} track`);
+    });
+    // Small delay to ensure cleanup
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  
+  // CRITICAL FIX: Race condition - ensure video element is fully initialized
+  // before setting stream and attempting to play. Order matters!
+  log("🔄 Setting up video element for MediaStream...");
+  
+  // STEP 1: Ensure video element is visible and has all required attributes FIRST
+  video.style.display = "block";
+  video.classList.add("playing");
+  video.setAttribute("playsinline", "true");
+  video.setAttribute("webkit-playsinline", "true");
+  video.setAttribute("autoplay", "true");
+  video.muted = true; // Set muted BEFORE setting stream (critical for autoplay)
+  log("🔇 Remote video muted for autoplay");
+  
+  // STEP 2: Set stream AFTER attributes are set
+  video.srcObject = stream;
+  log("📹 Remote stream set to video element");
+  
+  // STEP 3: Wait a tiny bit for DOM to update, then force processing
+  // This fixes the race condition where video element isn't ready
+  const forceProcess = async () => {
+    // Wait for next animation frame to ensure DOM is updated
+    await new Promise(resolve => requestAnimationFrame(resolve));
     
-    // Log stream details for debugging
-    const videoTracks = stream.getVideoTracks();
-    const audioTracks = stream.getAudioTracks();
-    log(`📊 Stream tracks: ${videoTracks.length} video, ${audioTracks.length} audio`);
-    if (videoTracks.length > 0) {
-      log(`📹 Video track: ${videoTracks[0].label || 'unnamed'}, enabled: ${videoTracks[0].enabled}, readyState: ${videoTracks[0].readyState}`);
-    }
-    if (audioTracks.length > 0) {
-      log(`🔊 Audio track: ${audioTracks[0].label || 'unnamed'}, enabled: ${audioTracks[0].enabled}, readyState: ${audioTracks[0].readyState}`);
+    // Check if video is still paused (race condition indicator)
+    if (video.paused) {
+      log("🔄 Video is paused - forcing play to start processing...");
     }
     
-    // Ensure controls are visible immediately
-    if (controls) {
-      controls.style.display = "flex";
-      controls.style.visibility = "visible";
+    try {
+      // Try immediate play
+      log("🔄 Attempting immediate play to force processing...");
+      await video.play();
+      log("✅ Immediate play succeeded");
+    } catch (err) {
+      logWarn("⚠️ Immediate play failed, trying reset method:", err?.name);
+      // Reset method: clear and reset srcObject to force processing
+      const currentStream = video.srcObject;
+      video.srcObject = null;
+      // Use requestAnimationFrame to ensure DOM update
+      await new Promise(resolve => requestAnimationFrame(resolve));
+      video.srcObject = currentStream;
+      log("🔄 Stream reset - attempting play again...");
+      // Try playing again after reset
+      setTimeout(async () => {
+        try {
+          await video.play();
+          log("✅ Play succeeded after reset");
+        } catch (retryErr) {
+          logWarn("⚠️ Play failed after reset:", retryErr?.name);
+        }
+      }, 100);
     }
-    
-    // On mobile, ensure video element has proper attributes BEFORE setting stream
-    remoteVideo.setAttribute("playsinline", "true");
-    remoteVideo.setAttribute("webkit-playsinline", "true");
-    remoteVideo.setAttribute("autoplay", "true");
-    
-    // IMPORTANT: Clear previous stream first to prevent frozen frames
-    // This fixes the race condition where video freezes on one frame
-    if (remoteVideo.srcObject && remoteVideo.srcObject !== stream) {
-      log("🧹 Clearing previous remote stream to prevent frozen frames");
-      const oldStream = remoteVideo.srcObject;
-      remoteVideo.srcObject = null;
-      // Stop all tracks from old stream
-      oldStream.getTracks().forEach(track => {
-        track.stop();
-        log(`🛑 Stopped old ${track.kind} track`);
+  };
+  
+  // Execute after a brief delay to ensure video element is ready
+  forceProcess();
+  
+  // Monitor stream for track changes
+  stream.onaddtrack = (event) => {
+    log(`➕ Track added to remote stream: ${event.track.kind} (${event.track.label || 'unnamed'})`);
+    // If video track is added, ensure video element is updated
+    if (event.track.kind === 'video' && video.srcObject === stream) {
+      log("🔄 Video track added - refreshing video element");
+      // Force video element to reload
+      video.load();
+      video.play().catch(err => {
+        logWarn("⚠️ Failed to play after track add:", err);
       });
-      // Small delay to ensure cleanup
-      await new Promise(resolve => setTimeout(resolve, 50));
     }
-    
-    // CRITICAL FIX: Race condition - ensure video element is fully initialized
-    // before setting stream and attempting to play. Order matters!
-    log("🔄 Setting up video element for MediaStream...");
-    
-    // STEP 1: Ensure video element is visible and has all required attributes FIRST
-    remoteVideo.style.display = "block";
-    remoteVideo.classList.add("playing");
-    remoteVideo.setAttribute("playsinline", "true");
-    remoteVideo.setAttribute("webkit-playsinline", "true");
-    remoteVideo.setAttribute("autoplay", "true");
-    remoteVideo.muted = true; // Set muted BEFORE setting stream (critical for autoplay)
-    log("🔇 Remote video muted for autoplay");
-    
-    // STEP 2: Set stream AFTER attributes are set
-    remoteVideo.srcObject = stream;
-    log("📹 Remote stream set to video element");
-    
-    // STEP 3: Wait a tiny bit for DOM to update, then force processing
-    // This fixes the race condition where video element isn't ready
-    const forceProcess = async () => {
-      // Wait for next animation frame to ensure DOM is updated
-      await new Promise(resolve => requestAnimationFrame(resolve));
-      
-      // Check if video is still paused (race condition indicator)
-      if (remoteVideo.paused) {
-        log("🔄 Video is paused - forcing play to start processing...");
-      }
-      
-      try {
-        // Try immediate play
-        log("🔄 Attempting immediate play to force processing...");
-        await remoteVideo.play();
-        log("✅ Immediate play succeeded");
-      } catch (err) {
-        logWarn("⚠️ Immediate play failed, trying reset method:", err?.name);
-        // Reset method: clear and reset srcObject to force processing
-        const currentStream = remoteVideo.srcObject;
-        remoteVideo.srcObject = null;
-        // Use requestAnimationFrame to ensure DOM update
-        await new Promise(resolve => requestAnimationFrame(resolve));
-        remoteVideo.srcObject = currentStream;
-        log("🔄 Stream reset - attempting play again...");
-        // Try playing again after reset
-        setTimeout(async () => {
-          try {
-            await remoteVideo.play();
-            log("✅ Play succeeded after reset");
-          } catch (retryErr) {
-            logWarn("⚠️ Play failed after reset:", retryErr?.name);
-          }
-        }, 100);
-      }
+  };
+  stream.onremovetrack = (event) => {
+    logWarn(`➖ Track removed from remote stream: ${event.track.kind} (${event.track.label || 'unnamed'})`);
+  };
+  
+  // Monitor video track for mute/unmute and enabled state changes
+  if (videoTracks.length > 0) {
+    const videoTrack = videoTracks[0];
+    videoTrack.onmute = () => {
+      logWarn("⚠️ Remote video track muted");
     };
-    
-    // Execute after a brief delay to ensure video element is ready
-    forceProcess();
-    
-    // Monitor stream for track changes
-    stream.onaddtrack = (event) => {
-      log(`➕ Track added to remote stream: ${event.track.kind} (${event.track.label || 'unnamed'})`);
-      // If video track is added, ensure video element is updated
-      if (event.track.kind === 'video' && remoteVideo.srcObject === stream) {
-        log("🔄 Video track added - refreshing video element");
-        // Force video element to reload
-        remoteVideo.load();
-        remoteVideo.play().catch(err => {
-          logWarn("⚠️ Failed to play after track add:", err);
-        });
-      }
+    videoTrack.onunmute = () => {
+      log("✅ Remote video track unmuted");
     };
-    stream.onremovetrack = (event) => {
-      logWarn(`➖ Track removed from remote stream: ${event.track.kind} (${event.track.label || 'unnamed'})`);
+    videoTrack.onended = () => {
+      logWarn("⚠️ Remote video track ended");
     };
-    
-    // Monitor video track for mute/unmute and enabled state changes
-    if (videoTracks.length > 0) {
-      const videoTrack = videoTracks[0];
-      videoTrack.onmute = () => {
-        logWarn("⚠️ Remote video track muted");
-      };
-      videoTrack.onunmute = () => {
-        log("✅ Remote video track unmuted");
-      };
-      videoTrack.onended = () => {
-        logWarn("⚠️ Remote video track ended");
-      };
-    }
-    
-    // Video element attributes and visibility already set above
-    log("👁️ Remote video element made visible");
-    
-    // Hide waiting screen when remote stream is received (client has joined)
-    if (waitingScreen && !waitingScreen.classList.contains("hidden")) {
-      log("👥 Client joined - hiding waiting screen with link widget");
-      waitingScreen.classList.add("hidden");
-    }
-    
-    // Cleanup previous handler if exists
-    if (videoPlayingHandler) {
-      remoteVideo.removeEventListener("playing", videoPlayingHandler);
-      remoteVideo.removeEventListener("loadedmetadata", videoPlayingHandler);
-      remoteVideo.removeEventListener("canplay", videoPlayingHandler);
-      remoteVideo.removeEventListener("loadeddata", videoPlayingHandler);
-    }
-    
-    // Wait for video to have some data before trying to play (important for mobile)
-    const tryPlay = () => {
-      log(`🎬 Attempting to play remote video (readyState: ${remoteVideo.readyState}, paused: ${remoteVideo.paused}, muted: ${remoteVideo.muted})`);
-      const playPromise = remoteVideo.play();
-      if (playPromise !== undefined) {
-        playPromise
-          .then(() => {
-            log("✅ Remote video started playing (muted)");
-            // Try to unmute after a short delay - this might work on some browsers
-            setTimeout(() => {
-              if (remoteVideo.muted) {
-                remoteVideo.muted = false;
-                remoteVideo.play().catch((err) => {
-                  // Silent fail - video is playing muted, user may need to interact
-                  logWarn("⚠️ Remote video remains muted due to autoplay policy:", err);
-                });
-              }
-            }, 500);
-          })
-          .catch(err => {
-            logWarn("⚠️ Error playing remote video:", err);
-            logWarn("⚠️ Error details - name:", err?.name, "message:", err?.message, "code:", err?.code);
-            // On mobile, video might need user interaction - try again after a short delay
-            // Also ensure video is properly loaded
-            setTimeout(() => {
-              log(`🔄 Retrying play (readyState: ${remoteVideo.readyState}, paused: ${remoteVideo.paused})`);
-              // Try playing even if readyState is low - sometimes it works
-              remoteVideo.play().then(() => {
-                log("✅ Remote video started playing on retry");
-              }).catch((retryErr) => {
-                logWarn("⚠️ Retry play failed:", retryErr?.name, retryErr?.message);
-                // Try one more time after longer delay
-                setTimeout(() => {
-                  log("🔄 Final retry attempt...");
-                  remoteVideo.play().then(() => {
-                    log("✅ Remote video started playing on final retry");
-                  }).catch((finalErr) => {
-                    logWarn("⚠️ Final retry failed:", finalErr?.name, finalErr?.message);
-                    log("📱 Mobile: Video may require user interaction to play");
-                    log("📱 Try tapping the screen or a button to enable video playback");
-                  });
-                }, 2000);
+  }
+  
+  // Video element attributes and visibility already set above
+  log("👁️ Remote video element made visible");
+  
+  // Hide waiting screen when remote stream is received (client has joined)
+  if (waitingScreen && !waitingScreen.classList.contains("hidden")) {
+    log("👥 Client joined - hiding waiting screen with link widget");
+    waitingScreen.classList.add("hidden");
+  }
+  
+  // Cleanup previous handler if exists
+  if (entry.videoPlayingHandler) {
+    video.removeEventListener("playing", entry.videoPlayingHandler);
+    video.removeEventListener("loadedmetadata", entry.videoPlayingHandler);
+    video.removeEventListener("canplay", entry.videoPlayingHandler);
+    video.removeEventListener("loadeddata", entry.videoPlayingHandler);
+  }
+  
+  // Wait for video to have some data before trying to play (important for mobile)
+  const tryPlay = () => {
+    log(`🎬 Attempting to play remote video (readyState: ${video.readyState}, paused: ${video.paused}, muted: ${video.muted})`);
+    const playPromise = video.play();
+    if (playPromise !== undefined) {
+      playPromise
+        .then(() => {
+          log("✅ Remote video started playing (muted)");
+          // Try to unmute after a short delay - this might work on some browsers
+          setTimeout(() => {
+            if (video.muted) {
+              video.muted = false;
+              video.play().catch((err) => {
+                // Silent fail - video is playing muted, user may need to interact
+                logWarn("⚠️ Remote video remains muted due to autoplay policy:", err);
               });
-            }, 1000);
-          });
-      } else {
-        // Fallback: try to play after a short delay
-        log("⚠️ play() returned undefined, using fallback");
-        setTimeout(() => {
-          remoteVideo.play().then(() => {
-            log("✅ Remote video started playing (fallback)");
-          }).catch((err) => {
-            logWarn("⚠️ Fallback play failed:", err?.name, err?.message);
-          });
-        }, 100);
-      }
-    };
-    
-    // Try to play immediately if video has data, otherwise wait for loadeddata
-    if (remoteVideo.readyState >= 2) {
-      log("📹 Video already has data, playing immediately");
-      tryPlay();
+            }
+          }, 500);
+        })
+        .catch(err => {
+          logWarn("⚠️ Error playing remote video:", err);
+          logWarn("⚠️ Error details - name:", err?.name, "message:", err?.message, "code:", err?.code);
+          // On mobile, video might need user interaction - try again after a short delay
+          // Also ensure video is properly loaded
+          setTimeout(() => {
+            log(`🔄 Retrying play (readyState: ${video.readyState}, paused: ${video.paused})`);
+            // Try playing even if readyState is low - sometimes it works
+            video.play().then(() => {
+              log("✅ Remote video started playing on retry");
+            }).catch((retryErr) => {
+              logWarn("⚠️ Retry play failed:", retryErr?.name, retryErr?.message);
+              // Try one more time after longer delay
+              setTimeout(() => {
+                log("🔄 Final retry attempt...");
+                video.play().then(() => {
+                  log("✅ Remote video started playing on final retry");
+                }).catch((finalErr) => {
+                  logWarn("⚠️ Final retry failed:", finalErr?.name, finalErr?.message);
+                  log("📱 Mobile: Video may require user interaction to play");
+                  log("📱 Try tapping the screen or a button to enable video playback");
+                });
+              }, 2000);
+            });
+          }, 1000);
+        });
     } else {
-      log("📹 Waiting for video data before playing...");
-      // CRITICAL FIX: Try playing immediately even if readyState is 0
-      // Some browsers (especially mobile) need this to start processing the stream
-      log("🔄 Attempting play with readyState 0 (may be needed to start processing)...");
-      tryPlay();
-      
-      const dataHandler = () => {
-        log("📹 Video data loaded, attempting to play");
-        remoteVideo.removeEventListener("loadeddata", dataHandler);
-        tryPlay();
-      };
-      remoteVideo.addEventListener("loadeddata", dataHandler, { once: true });
-      
-      // Also try after a timeout as fallback - be more aggressive on mobile
-      setTimeout(() => {
-        if (remoteVideo.readyState >= 1) { // HAVE_METADATA or higher
-          log("📹 Timeout: Video has metadata, attempting to play");
-          tryPlay();
-        } else {
-          logWarn(`⚠️ Video still not ready after timeout (readyState: ${remoteVideo.readyState})`);
-          // Try anyway - sometimes video can play even if readyState is low
-          log("🔄 Forcing play attempt despite low readyState...");
-          tryPlay();
-        }
-      }, 500);
-      
-      // Additional fallback - try playing after longer delay (mobile sometimes needs more time)
+      // Fallback: try to play after a short delay
+      log("⚠️ play() returned undefined, using fallback");
       setTimeout(() => {
-        if (!remoteVideo.paused) {
-          log("✅ Video is already playing");
-        } else {
-          log("🔄 Additional fallback: attempting to play video");
-          tryPlay();
-        }
-      }, 2000);
-      
-      // Final fallback - try playing after even longer delay (for slow connections)
-      // Also check if ICE connection is established and force play if needed
-      setTimeout(() => {
-        if (!remoteVideo.paused) {
-          log("✅ Video is already playing");
-        } else {
-          // Check ICE connection state - if it's connected/completed, force play
-          if (peer && peer._pc) {
-            const iceState = peer._pc.iceConnectionState;
-            log(`🔄 Final fallback: ICE state is ${iceState}, attempting to play video`);
-            if (iceState === "connected" || iceState === "completed" || iceState === "checking") {
-              log("🎬 ICE connection active - forcing video play");
-              tryPlay();
-            } else {
-              // Even if ICE isn't connected, try playing - sometimes it works
-              log("🎬 Attempting to play video despite ICE state: " + iceState);
-              tryPlay();
-            }
-          } else {
-            log("🔄 Final fallback: attempting to play video (no peer connection info)");
-            tryPlay();
-          }
-        }
-      }, 5000);
+        video.play().then(() => {
+          log("✅ Remote video started playing (fallback)");
+        }).catch((err) => {
+          logWarn("⚠️ Fallback play failed:", err?.name, err?.message);
+        });
+      }, 100);
     }
+  };
+  
+  // Try to play immediately if video has data, otherwise wait for loadeddata
+  if (video.readyState >= 2) {
+    log("📹 Video already has data, playing immediately");
+    tryPlay();
+  } else {
+    log("📹 Waiting for video data before playing...");
+    // CRITICAL FIX: Try playing immediately even if readyState is 0
+    // Some browsers (especially mobile) need this to start processing the stream
+    log("🔄 Attempting play with readyState 0 (may be needed to start processing)...");
+    tryPlay();
     
-    // Listen for when video actually starts playing to ensure smooth transition
-    videoPlayingHandler = () => {
-      log("✅ Remote video confirmed playing");
-      // Ensure it's visible
-      remoteVideo.classList.add("playing");
-      
-      // Try to unmute once video is confirmed playing
-      // This might work better than unmuting immediately
-      setTimeout(() => {
-        if (remoteVideo.muted && remoteVideo.readyState >= 3) {
-          remoteVideo.muted = false;
-          remoteVideo.play().catch(() => {
-            // Silent fail - autoplay policy might prevent unmuting
-          });
-        }
-      }, 100);
-      
-      // Cleanup handler
-      if (videoPlayingHandler) {
-        remoteVideo.removeEventListener("playing", videoPlayingHandler);
-        remoteVideo.removeEventListener("loadedmetadata", videoPlayingHandler);
-        remoteVideo.removeEventListener("canplay", videoPlayingHandler);
-        remoteVideo.removeEventListener("loadeddata", videoPlayingHandler);
-        remoteVideo.removeEventListener("timeupdate", videoPlayingHandler);
-        videoPlayingHandler = null;
-      }
+    const dataHandler = () => {
+      log("📹 Video data loaded, attempting to play");
+      video.removeEventListener("loadeddata", dataHandler);
+      tryPlay();
     };
+    video.addEventListener("loadeddata", dataHandler, { once: true });
     
-    // Add listeners for confirmation (non-blocking)
-    // Use multiple events to catch when video is ready
-    remoteVideo.addEventListener("playing", videoPlayingHandler, { once: true });
-    remoteVideo.addEventListener("loadedmetadata", videoPlayingHandler, { once: true });
-    remoteVideo.addEventListener("canplay", videoPlayingHandler, { once: true });
-    remoteVideo.addEventListener("loadeddata", videoPlayingHandler, { once: true });
-    
-    // Also listen for timeupdate - this means video is actually playing
-    // Use a persistent listener to continuously monitor for frozen frames
-    let lastCurrentTime = 0;
-    let lastTimeUpdate = Date.now();
-    let frozenFrameDetected = false;
-    let frozenFrameCheckInterval = null;
-    
-    const checkFrozenFrame = () => {
-      if (!remoteVideo.paused && remoteVideo.currentTime > 0) {
-        const now = Date.now();
-        const timeSinceLastUpdate = now - lastTimeUpdate;
-        
-        // If timeupdate hasn't fired in 2 seconds, video might be frozen
-        if (timeSinceLastUpdate > 2000 && lastCurrentTime > 0) {
-          if (!frozenFrameDetected) {
-            frozenFrameDetected = true;
-            logWarn("⚠️ Possible frozen frame detected - no timeupdate for " + timeSinceLastUpdate + "ms");
-            // Try to force video refresh
-            const currentSrc = remoteVideo.srcObject;
-            if (currentSrc) {
-              logWarn("🔄 Video frozen - attempting to refresh");
-              const tracks = currentSrc.getTracks();
-              logWarn(`🔄 Refreshing video - stream has ${tracks.length} tracks`);
-              tracks.forEach(track => {
-                logWarn(`🔄 Track: ${track.kind}, enabled: ${track.enabled}, readyState: ${track.readyState}, muted: ${track.muted}`);
-              });
-              remoteVideo.srcObject = null;
-              setTimeout(() => {
-                remoteVideo.srcObject = currentSrc;
-                remoteVideo.load(); // Force reload
-                // Ensure video attributes are set
-                remoteVideo.setAttribute("playsinline", "true");
-                remoteVideo.setAttribute("webkit-playsinline", "true");
-                remoteVideo.setAttribute("autoplay", "true");
-                remoteVideo.muted = true; // Start muted for autoplay
-                remoteVideo.play().then(() => {
-                  logWarn("✅ Video refreshed and playing");
-                  lastTimeUpdate = Date.now(); // Reset timer
-                }).catch(err => {
-                  logWarn("⚠️ Failed to play after refresh:", err);
-                });
-              }, 100);
-            }
-          }
-        }
+    // Also try after a timeout as fallback - be more aggressive on mobile
+    setTimeout(() => {
+      if (video.readyState >= 1) { // HAVE_METADATA or higher
+        log("📹 Timeout: Video has metadata, attempting to play");
+        tryPlay();
+      } else {
+        logWarn(`⚠️ Video still not ready after timeout (readyState: ${video.readyState})`);
+        // Try anyway - sometimes video can play even if readyState is low
+        log("🔄 Forcing play attempt despite low readyState...");
+        tryPlay();
       }
-    };
+    }, 500);
     
-    // Check for frozen frames every second
-    frozenFrameCheckInterval = setInterval(checkFrozenFrame, 1000);
+    // Additional fallback - try playing after longer delay (mobile sometimes needs more time)
+    setTimeout(() => {
+      if (!video.paused) {
+        log("✅ Video is already playing");
+      } else {
+        log("🔄 Additional fallback: attempting to play video");
+        tryPlay();
+      }
+    }, 2000);
     
-    remoteVideo.addEventListener("timeupdate", () => {
-      if (!remoteVideo.paused && remoteVideo.currentTime > 0) {
-        // Detect if video is frozen (time not advancing)
-        if (remoteVideo.currentTime === lastCurrentTime && lastCurrentTime > 0) {
-          if (!frozenFrameDetected) {
-            frozenFrameDetected = true;
-            logWarn("⚠️ Possible frozen frame detected - currentTime not advancing");
-            // Try to force video refresh
-            setTimeout(() => {
-              if (remoteVideo.currentTime === lastCurrentTime) {
-                logWarn("🔄 Video still frozen - attempting to refresh");
-                const currentSrc = remoteVideo.srcObject;
-                  if (currentSrc) {
-                    logWarn("🔄 Video still frozen - attempting refresh");
-                    remoteVideo.srcObject = null;
-                    setTimeout(() => {
-                      remoteVideo.srcObject = currentSrc;
-                      remoteVideo.load(); // Force reload
-                      // Ensure video attributes are set
-                      remoteVideo.setAttribute("playsinline", "true");
-                      remoteVideo.setAttribute("webkit-playsinline", "true");
-                      remoteVideo.setAttribute("autoplay", "true");
-                      remoteVideo.muted = true; // Start muted for autoplay
-                      remoteVideo.play().then(() => {
-                        logWarn("✅ Video refreshed and playing");
-                      }).catch(err => {
-                        logWarn("⚠️ Failed to play after refresh:", err);
-                      });
-                    }, 100);
-                  }
-              }
-            }, 1000);
+    // Final fallback - try playing after even longer delay (for slow connections)
+    // Also check if ICE connection is established and force play if needed
+    setTimeout(() => {
+      if (!video.paused) {
+        log("✅ Video is already playing");
+      } else {
+        // Check ICE connection state - if it's connected/completed, force play
+        if (entry.pc) {
+          const iceState = entry.pc.iceConnectionState;
+          log(`🔄 Final fallback: ICE state is ${iceState}, attempting to play video`);
+          if (iceState === "connected" || iceState === "completed" || iceState === "checking") {
+            log("🎬 ICE connection active - forcing video play");
+            tryPlay();
+          } else {
+            // Even if ICE isn't connected, try playing - sometimes it works
+            log("🎬 Attempting to play video despite ICE state: " + iceState);
+            tryPlay();
           }
         } else {
-          frozenFrameDetected = false;
-          lastTimeUpdate = Date.now(); // Update timestamp when video is playing
-        }
-        lastCurrentTime = remoteVideo.currentTime;
-        
-        log("✅ Remote video timeupdate - video is playing (currentTime: " + remoteVideo.currentTime.toFixed(2) + "s)");
-        if (videoPlayingHandler) {
-          videoPlayingHandler();
+          log("🔄 Final fallback: attempting to play video (no peer connection info)");
+          tryPlay();
         }
       }
-    });
-    
-    // Cleanup interval when video element is removed or stream changes
-    const cleanupFrozenCheck = () => {
-      if (frozenFrameCheckInterval) {
-        clearInterval(frozenFrameCheckInterval);
-        frozenFrameCheckInterval = null;
-      }
-    };
-    
-    // Cleanup on stream end or element removal
-    remoteVideo.addEventListener("emptied", cleanupFrozenCheck);
-    if (videoTracks.length > 0) {
-      videoTracks[0].addEventListener("ended", cleanupFrozenCheck);
-    }
+    }, 5000);
+  }
+  
+  // Listen for when video actually starts playing to ensure smooth transition
+  entry.videoPlayingHandler = () => {
+    log("✅ Remote video confirmed playing");
+    // Ensure it's visible
+    video.classList.add("playing");
     
-    // Monitor video element state changes for debugging and force play
-    remoteVideo.addEventListener("loadstart", () => {
-      log("📹 Remote video: loadstart (readyState: " + remoteVideo.readyState + ")");
-      // After loadstart, ensure video is set to play
-      if (remoteVideo.paused) {
-        log("🔄 Video paused after loadstart, attempting to play...");
-        remoteVideo.play().catch(err => {
-          logWarn("⚠️ Failed to play after loadstart:", err);
-        });
-      }
-    });
-    remoteVideo.addEventListener("loadedmetadata", () => {
-      log("📹 Remote video: loadedmetadata (readyState: " + remoteVideo.readyState + ")");
-      // Metadata loaded - video should be ready to play
-      if (remoteVideo.paused) {
-        log("🔄 Video paused after loadedmetadata, attempting to play...");
-        remoteVideo.play().catch(err => {
-          logWarn("⚠️ Failed to play after loadedmetadata:", err);
-        });
-      }
-    });
-    remoteVideo.addEventListener("loadeddata", () => {
-      log("📹 Remote video: loadeddata (readyState: " + remoteVideo.readyState + ")");
-      // Data loaded - video should definitely be ready
-      if (remoteVideo.paused) {
-        log("🔄 Video paused after loadeddata, attempting to play...");
-        remoteVideo.play().catch(err => {
-          logWarn("⚠️ Failed to play after loadeddata:", err);
-        });
-      }
-    });
-    remoteVideo.addEventListener("canplay", () => {
-      log("📹 Remote video: canplay (readyState: " + remoteVideo.readyState + ")");
-      // Video can play - ensure it's playing
-      if (remoteVideo.paused) {
-        log("🔄 Video paused after canplay, attempting to play...");
-        remoteVideo.play().catch(err => {
-          logWarn("⚠️ Failed to play after canplay:", err);
-        });
-      }
-    });
-    remoteVideo.addEventListener("canplaythrough", () => {
-      log("📹 Remote video: canplaythrough (readyState: " + remoteVideo.readyState + ")");
-      // Video can play through - definitely should be playing
-      if (remoteVideo.paused) {
-        log("🔄 Video paused after canplaythrough, attempting to play...");
-        remoteVideo.play().catch(err => {
-          logWarn("⚠️ Failed to play after canplaythrough:", err);
+    // Try to unmute once video is confirmed playing
+    // This might work better than unmuting immediately
+    setTimeout(() => {
+      if (video.muted && video.readyState >= 3) {
+        video.muted = false;
+        video.play().catch(() => {
+          // Silent fail - autoplay policy might prevent unmuting
         });
       }
-    });
-    // Also listen for 'playing' event to confirm video is actually playing
-    remoteVideo.addEventListener("playing", () => {
-      log("✅ Remote video: playing event fired (readyState: " + remoteVideo.readyState + ", currentTime: " + remoteVideo.currentTime.toFixed(2) + "s)");
-    });
-    remoteVideo.addEventListener("pause", () => logWarn("⚠️ Remote video: paused"));
-    remoteVideo.addEventListener("error", (e) => {
-      logWarn("❌ Remote video error:", e);
-      logWarn("❌ Video error code:", remoteVideo.error?.code, "message:", remoteVideo.error?.message);
-    });
-  });
-
-  peer.on("error", (err) => {
-    console.error("❌ Peer error:", err);
-    // Only recreate on critical errors, not transient connection failures
-    // "Connection failed" can happen during normal negotiation - let it recover
-    if (err.message.includes("Abort") || err.message.includes("destroyed")) {
-      log("♻️ Recreating peer due to critical error...");
-      if (!isRecreatingPeer && ws && ws.readyState === WebSocket.OPEN) {
-        isRecreatingPeer = true;
-        setTimeout(() => {
-          isRecreatingPeer = false;
-          initPeer();
-        }, CONFIG.PEER_RECREATE_DELAY);
-      }
-    } else if (err.message.includes("Connection failed")) {
-      // Connection failed - this can happen during normal negotiation
-      // Check ICE connection state - if it's "connecting" or "checking", it might recover
-      // Only recreate if we're definitely failed and haven't connected
-      log("⚠️ Connection failed, checking ICE state...");
-      
-      // Don't recreate immediately - ICE might recover
-      // SimplePeer will handle the connection state internally
-      // We'll only recreate if the peer actually closes and hasn't connected
-      // (handled in peer.on("close"))
-    }
-  });
-
-  peer.on("close", () => {
-    logWarn("🔌 Peer closed");
-    // Mark peer as destroyed so we know it's invalid
-    if (peer) {
-      peer.destroyed = true;
-    }
+    }, 100);
     
-    // Don't recreate if peer was set to null (intentionally destroyed)
-    // Don't recreate if we're already recreating
-    // Don't recreate if we've successfully connected before
-    // Don't recreate if we've received a remote stream (connection is working)
-    const hasRemoteStream = remoteVideo && remoteVideo.srcObject;
-    if (!peer || isRecreatingPeer || hasConnected || hasRemoteStream) {
-      if (hasRemoteStream) {
-        log("✅ Remote stream exists, connection is working - not recreating");
-      }
-      return;
+    // Cleanup handler
+    if (entry.videoPlayingHandler) {
+      video.removeEventListener("playing", entry.videoPlayingHandler);
+      video.removeEventListener("loadedmetadata", entry.videoPlayingHandler);
+      video.removeEventListener("canplay", entry.videoPlayingHandler);
+      video.removeEventListener("loadeddata", entry.videoPlayingHandler);
+      video.removeEventListener("timeupdate", entry.videoPlayingHandler);
+      entry.videoPlayingHandler = null;
     }
+  };
+  
+  // Add listeners for confirmation (non-blocking)
+  // Use multiple events to catch when video is ready
+  video.addEventListener("playing", entry.videoPlayingHandler, { once: true });
+  video.addEventListener("loadedmetadata", entry.videoPlayingHandler, { once: true });
+  video.addEventListener("canplay", entry.videoPlayingHandler, { once: true });
+  video.addEventListener("loadeddata", entry.videoPlayingHandler, { once: true });
+  
+  // Also listen for timeupdate - this means video is actually playing
+  // Use a persistent listener to continuously monitor for frozen frames
+  let lastCurrentTime = 0;
+  let lastTimeUpdate = Date.now();
+  let frozenFrameDetected = false;
     
-    // Only recreate if WebSocket is still open and we haven't connected
-    // Note: For late connections (client joins 10+ minutes later), we DON'T recreate here.
-    // Instead, we wait for the client's answer signal to arrive, which will trigger
-    // peer creation via the signal handler (which checks !peer and creates one).
-    // This prevents unnecessary recreation loops while waiting for a client.
-    if (ws && ws.readyState === WebSocket.OPEN) {
-      const currentPeer = peer;
-      const queuedSignalsCount = queuedIncomingSignals.length;
-      logWarn(`🔌 Peer closed. Queued signals: ${queuedSignalsCount}`);
-      
-      // If we're the host and waiting for a client, don't recreate immediately
-      // Wait for the client's answer signal to trigger peer creation
-      if (isHost && !hasConnected) {
-        log("⏳ Host waiting for client - will recreate peer when answer arrives");
-        return;
-      }
+  const checkFrozenFrame = () => {
+    // The last frame is expected to freeze while ICE recovers - keep the element as it is
+    if (entry.iceRecovering) return;
+    if (!video.paused && video.currentTime > 0) {
+      const now = Date.now();
+      const timeSinceLastUpdate = now - lastTimeUpdate;
       
-      isRecreatingPeer = true;
-      setTimeout(() => {
-        // Only recreate if:
-        // 1. The peer still exists (wasn't destroyed/replaced)
-        // 2. We haven't connected yet
-        // 3. We don't have a remote stream
-        if (peer && peer === currentPeer && !hasConnected) {
-          const stillHasRemoteStream = remoteVideo && remoteVideo.srcObject;
-          if (!stillHasRemoteStream) {
-            logWarn("🔌 Peer closed without connecting, recreating...");
-            isRecreatingPeer = false;
-            initPeer();
-          } else {
-            log("✅ Remote stream appeared, connection is working - not recreating");
-            isRecreatingPeer = false;
+      // If timeupdate hasn't fired in 2 seconds, video might be frozen
+      if (timeSinceLastUpdate > 2000 && lastCurrentTime > 0) {
+        if (!frozenFrameDetected) {
+          frozenFrameDetected = true;
+          logWarn("⚠️ Possible frozen frame detected - no timeupdate for " + timeSinceLastUpdate + "ms");
+          // Try to force video refresh
+          const currentSrc = video.srcObject;
+          if (currentSrc) {
+            logWarn("🔄 Video frozen - attempting to refresh");
+            const tracks = currentSrc.getTracks();
+            logWarn(`🔄 Refreshing video - stream has ${tracks.length} tracks`);
+            tracks.forEach(track => {
+              logWarn(`🔄 Track: ${track.kind}, enabled: ${track.enabled}, readyState: ${track.readyState}, muted: ${track.muted}`);
+            });
+            video.srcObject = null;
+            setTimeout(() => {
+              video.srcObject = currentSrc;
+              video.load(); // Force reload
+              // Ensure video attributes are set
+              video.setAttribute("playsinline", "true");
+              video.setAttribute("webkit-playsinline", "true");
+              video.setAttribute("autoplay", "true");
+              video.muted = true; // Start muted for autoplay
+              video.play().then(() => {
+                logWarn("✅ Video refreshed and playing");
+                lastTimeUpdate = Date.now(); // Reset timer
+              }).catch(err => {
+                logWarn("⚠️ Failed to play after refresh:", err);
+              });
+            }, 100);
           }
-        } else {
-          // Peer was destroyed/replaced or we connected - don't recreate
-          isRecreatingPeer = false;
         }
-      }, CONFIG.PEER_RECREATE_DELAY * 3); // Longer delay to avoid recreation loops
-    }
-  });
-
-  peer.on("iceStateChange", (state) => {
-    log("🧊 ICE state:", state);
-    // Log ICE gathering state for debugging
-    if (peer && peer._pc) {
-      const iceGatheringState = peer._pc.iceGatheringState;
-      const iceConnectionState = peer._pc.iceConnectionState;
-      const connectionState = peer._pc.connectionState;
-      log(`🧊 ICE gathering: ${iceGatheringState}, connection: ${iceConnectionState}, peer: ${connectionState}`);
-    }
-  });
-  
-  peer.on("iceConnectionStateChange", (state) => {
-    log("🧊 ICE conn:", state);
-    
-    // Log additional connection details for debugging
-    if (peer && peer._pc) {
-      const iceGatheringState = peer._pc.iceGatheringState;
-      const connectionState = peer._pc.connectionState;
-      const localDescription = peer._pc.localDescription;
-      const remoteDescription = peer._pc.remoteDescription;
-      log(`🧊 ICE details - gathering: ${iceGatheringState}, peer connection: ${connectionState}`);
-      log(`🧊 SDP - local: ${localDescription ? localDescription.type : 'none'}, remote: ${remoteDescription ? remoteDescription.type : 'none'}`);
-      
-      // Log ICE candidates count
-      if (peer._pc.localDescription) {
-        const localCandidates = peer._pc.localDescription.sdp.match(/a=candidate:/g) || [];
-        log(`🧊 Local ICE candidates: ${localCandidates.length}`);
-      }
-      if (peer._pc.remoteDescription) {
-        const remoteCandidates = peer._pc.remoteDescription.sdp.match(/a=candidate:/g) || [];
-        log(`🧊 Remote ICE candidates: ${remoteCandidates.length}`);
-      }
-    }
-    
-    // Handle successful connection
-    if (state === "connected" || state === "completed") {
-      hasConnected = true;
-      log("✅ ICE connection established!");
-      
-      // Try to play remote video once ICE is connected (if it exists but isn't playing)
-      if (remoteVideo && remoteVideo.srcObject && remoteVideo.paused) {
-        log("🎬 ICE connected - attempting to play remote video");
-        remoteVideo.play().catch((err) => {
-          logWarn("⚠️ Failed to play video after ICE connection:", err);
-        });
       }
-      return;
-    }
-    
-    // Handle "connecting" state - this is good, connection is being established
-    if (state === "connecting") {
-      log("🔄 ICE connecting...");
-      return;
     }
-    
-    // "disconnected" is a normal intermediate state - allow it to recover
-    // However, if we have a remote stream, the connection might still be working
-    // Don't treat "disconnected" as a failure if we have an active stream
-    if (state === "disconnected") {
-      const hasRemoteStream = remoteVideo && remoteVideo.srcObject;
-      if (hasRemoteStream) {
-        log("⚠️ ICE disconnected but remote stream exists - connection may still work");
-        // Try to play video even if ICE is disconnected - sometimes it works
-        if (remoteVideo.paused) {
-          log("🎬 Attempting to play video despite ICE disconnected state");
-          remoteVideo.play().catch((err) => {
-            logWarn("⚠️ Failed to play video (ICE disconnected):", err?.name, err?.message);
-          });
+  };
+  
+  // Check for frozen frames every second
+  entry.frozenFrameCheckInterval = setInterval(checkFrozenFrame, 1000);
+  
+  video.addEventListener("timeupdate", () => {
+    if (!video.paused && video.currentTime > 0) {
+      // Detect if video is frozen (time not advancing)
+      if (video.currentTime === lastCurrentTime && lastCurrentTime > 0) {
+        if (!frozenFrameDetected) {
+          frozenFrameDetected = true;
+          logWarn("⚠️ Possible frozen frame detected - currentTime not advancing");
+          // Try to force video refresh
+          setTimeout(() => {
+            if (video.currentTime === lastCurrentTime && !entry.iceRecovering) {
+              logWarn("🔄 Video still frozen - attempting to refresh");
+              const currentSrc = video.srcObject;
+                if (currentSrc) {
+                  logWarn("🔄 Video still frozen - attempting refresh");
+                  video.srcObject = null;
+                  setTimeout(() => {
+                    video.srcObject = currentSrc;
+                    video.load(); // Force reload
+                    // Ensure video attributes are set
+                    video.setAttribute("playsinline", "true");
+                    video.setAttribute("webkit-playsinline", "true");
+                    video.setAttribute("autoplay", "true");
+                    video.muted = true; // Start muted for autoplay
+                    video.play().then(() => {
+                      logWarn("✅ Video refreshed and playing");
+                    }).catch(err => {
+                      logWarn("⚠️ Failed to play after refresh:", err);
+                    });
+                  }, 100);
+                }
+            }
+          }, 1000);
         }
       } else {
-        log("⚠️ ICE disconnected (may recover)...");
-      }
-      return;
-    }
-    
-    // Only recreate on "failed" state - never on "disconnected"
-    // "failed" means the connection definitely won't work
-    // BUT: if we have a remote stream, don't recreate - the stream proves connection works
-    if (state === "failed" && !isRecreatingPeer && !hasConnected) {
-      const hasRemoteStream = remoteVideo && remoteVideo.srcObject;
-      if (hasRemoteStream) {
-        log("⚠️ ICE failed but remote stream exists - connection is working, not recreating");
-        hasConnected = true; // Mark as connected since we have a stream
-        return;
+        frozenFrameDetected = false;
+        lastTimeUpdate = Date.now(); // Update timestamp when video is playing
       }
+      lastCurrentTime = video.currentTime;
       
-      if (ws && ws.readyState === WebSocket.OPEN && peer) {
-        log(`♻️ ICE connection failed, will recreate peer after delay...`);
-        isRecreatingPeer = true;
-        setTimeout(() => {
-          // Check again if we have a stream before recreating
-          const stillHasRemoteStream = remoteVideo && remoteVideo.srcObject;
-          if (!hasConnected && peer && !stillHasRemoteStream) {
-            log(`♻️ ICE connection failed, recreating peer...`);
-            isRecreatingPeer = false;
-            initPeer();
-          } else {
-            if (stillHasRemoteStream) {
-              log("✅ Remote stream appeared, connection is working - not recreating");
-              hasConnected = true;
-            }
-            isRecreatingPeer = false;
-          }
-        }, CONFIG.PEER_RECREATE_DELAY * 2); // Longer delay for ICE failures
+      log("✅ Remote video timeupdate - video is playing (currentTime: " + video.currentTime.toFixed(2) + "s)");
+      if (entry.videoPlayingHandler) {
+        entry.videoPlayingHandler();
       }
     }
   });
-
-  // Add stream after all handlers are set up
-  // For initiator (host), this will trigger offer generation
-  // For non-initiator (client), this prepares peer to receive offer
-  peer.addStream(stream);
-  log("📹 Stream added to peer connection");
   
-  // Set bitrate for better quality, prioritizing audio and video quality over frame rate
-  // This needs to be done after the peer connection is established
-  setTimeout(() => {
-    if (peer && peer._pc) {
-      const senders = peer._pc.getSenders();
-      senders.forEach(sender => {
-        if (sender.track) {
-          try {
-            const params = sender.getParameters();
-            if (!params.encodings) {
-              params.encodings = [{}];
-            }
-            
-            if (sender.track.kind === 'audio') {
-              // Prioritize audio quality - ensure it works without issues
-              params.encodings[0].maxBitrate = 128000; // 128 kbps for high quality audio
-              params.encodings[0].minBitrate = 64000; // 64 kbps minimum
-              sender.setParameters(params).then(() => {
-                log(`✅ Audio bitrate set: min=64kbps, max=128kbps (prioritized)`);
-              }).catch(err => {
-                logWarn("⚠️ Failed to set audio bitrate:", err);
-              });
-            } else if (sender.track.kind === 'video') {
-              // Video: prioritize quality over frame rate
-              // Lower frame rate but higher bitrate per frame for better quality
-              const maxBitrate = isMobileDevice ? 2500000 : 4000000; // 2.5-4 Mbps
-              const minBitrate = isMobileDevice ? 400000 : 800000; // 0.4-0.8 Mbps
-              const maxFramerate = isMobileDevice ? 20 : 25; // Lower frame rate
-              params.encodings[0].maxBitrate = maxBitrate;
-              params.encodings[0].minBitrate = minBitrate;
-              params.encodings[0].maxFramerate = maxFramerate;
-              params.encodings[0].scaleResolutionDownBy = 1; // Don't scale down resolution
-              sender.setParameters(params).then(() => {
-                log(`✅ Video bitrate set: min=${minBitrate/1000}kbps, max=${maxBitrate/1000}kbps, maxFPS=${maxFramerate} (quality prioritized)`);
-              }).catch(err => {
-                logWarn("⚠️ Failed to set video bitrate:", err);
-              });
-            }
-          } catch (err) {
-            logWarn(`⚠️ Error setting ${sender.track.kind} bitrate:`, err);
-          }
-        }
+  // Cleanup interval when video element is removed or stream changes
+  const cleanupFrozenCheck = () => {
+    if (entry.frozenFrameCheckInterval) {
+      clearInterval(entry.frozenFrameCheckInterval);
+      entry.frozenFrameCheckInterval = null;
+    }
+  };
+  
+  // Cleanup on stream end or element removal
+  video.addEventListener("emptied", cleanupFrozenCheck);
+  if (videoTracks.length > 0) {
+    videoTracks[0].addEventListener("ended", cleanupFrozenCheck);
+  }
+  
+  // Monitor video element state changes for debugging and force play
+  video.addEventListener("loadstart", () => {
+    log("📹 Remote video: loadstart (readyState: " + video.readyState + ")");
+    // After loadstart, ensure video is set to play
+    if (video.paused) {
+      log("🔄 Video paused after loadstart, attempting to play...");
+      video.play().catch(err => {
+        logWarn("⚠️ Failed to play after loadstart:", err);
+      });
+    }
+  });
+  video.addEventListener("loadedmetadata", () => {
+    log("📹 Remote video: loadedmetadata (readyState: " + video.readyState + ")");
+    // Metadata loaded - video should be ready to play
+    if (video.paused) {
+      log("🔄 Video paused after loadedmetadata, attempting to play...");
+      video.play().catch(err => {
+        logWarn("⚠️ Failed to play after loadedmetadata:", err);
+      });
+    }
+  });
+  video.addEventListener("loadeddata", () => {
+    log("📹 Remote video: loadeddata (readyState: " + video.readyState + ")");
+    // Data loaded - video should definitely be ready
+    if (video.paused) {
+      log("🔄 Video paused after loadeddata, attempting to play...");
+      video.play().catch(err => {
+        logWarn("⚠️ Failed to play after loadeddata:", err);
+      });
+    }
+  });
+  video.addEventListener("canplay", () => {
+    log("📹 Remote video: canplay (readyState: " + video.readyState + ")");
+    // Video can play - ensure it's playing
+    if (video.paused) {
+      log("🔄 Video paused after canplay, attempting to play...");
+      video.play().catch(err => {
+        logWarn("⚠️ Failed to play after canplay:", err);
+      });
+    }
+  });
+  video.addEventListener("canplaythrough", () => {
+    log("📹 Remote video: canplaythrough (readyState: " + video.readyState + ")");
+    // Video can play through - definitely should be playing
+    if (video.paused) {
+      log("🔄 Video paused after canplaythrough, attempting to play...");
+      video.play().catch(err => {
+        logWarn("⚠️ Failed to play after canplaythrough:", err);
       });
     }
-  }, 1000); // Wait a bit for connection to be ready
-  
-  // If we're the initiator (host), SimplePeer will automatically generate an offer
-  // If we're not the initiator (client), we wait for the offer from the host
-  if (isHost) {
-    log("📤 Host: Waiting for offer to be generated...");
-  } else {
-    log("📥 Client: Waiting for offer from host...");
-  }
-
-  // Process any queued incoming signals IMMEDIATELY and SYNCHRONOUSLY
-  // This is critical - signals must be processed right away for fastest connection
-  // Note: We only filter stale answers when peer doesn't exist (handled above)
-  // Once peer exists, we process all signals normally (including answers for host during normal flow)
-  if (queuedIncomingSignals.length > 0) {
-    log(`⚡ Processing ${queuedIncomingSignals.length} queued signals immediately...`);
-    log(`📋 Queued signals: ${queuedIncomingSignals.map(s => s.type || 'candidate').join(', ')}`);
-    // Process signals synchronously, in order - no delays
-    const signalsToProcess = [...queuedIncomingSignals];
-    queuedIncomingSignals = [];
-    let processedCount = 0;
-    signalsToProcess.forEach((signal) => {
-      try {
-        log(`📥 Processing queued signal ${processedCount + 1}/${signalsToProcess.length}: ${signal.type || 'candidate'}`);
-        peer.signal(signal);
-        processedCount++;
-        log(`✅ Successfully processed queued signal: ${signal.type || 'candidate'}`);
-      } catch (err) {
-        console.error(`❌ Error processing queued signal ${signal.type || 'candidate'}:`, err);
-      }
-    });
-    log(`✅ Finished processing ${processedCount}/${signalsToProcess.length} queued signals`);
-  } else {
-    log(`📋 No queued signals to process`);
-  }
+  });
+  // Also listen for 'playing' event to confirm video is actually playing
+  video.addEventListener("playing", () => {
+    log("✅ Remote video: playing event fired (readyState: " + video.readyState + ", currentTime: " + video.currentTime.toFixed(2) + "s)");
+  });
+  video.addEventListener("pause", () => logWarn("⚠️ Remote video: paused"));
+  video.addEventListener("error", (e) => {
+    logWarn("❌ Remote video error:", e);
+    logWarn("❌ Video error code:", video.error?.code, "message:", video.error?.message);
+  });
 }
 
 // ====== Waiting Screen Setup ======
 // Set up meeting link immediately when page loads (room ID is known from URL)
 if (meetingLinkInput) {
-  const meetingUrl = `${window.location.origin}/room?id=${room}`;
+  // The encryption key travels with the link - whoever joins without it can't see or hear the call
+  const meetingUrl = `${window.location.origin}/room?id=${room}${e2eeSecret ? `#key=${e2eeSecret}` : ""}`;
   meetingLinkInput.value = meetingUrl;
-  log("🔗 Meeting link ready:", meetingUrl);
+  // Never log the key itself - logs get copied into bug reports
+  log("🔗 Meeting link ready:", `${window.location.origin}/room?id=${room}${e2eeSecret ? " (with encryption key)" : ""}`);
 }
 
 if (copyLinkBtn && meetingLinkInput) {
@@ -1799,6 +4092,24 @@ async function getAvailableCameras() {
   }
 }
 
+// Replace the outgoing track of the same kind in every peer connection (no renegotiation needed)
+async function replaceOutgoingTrack(newTrack) {
+  const replacements = [...peers.values()].map(async (entry) => {
+    if (!entry.pc) return;
+    // The shared screen's audio is an extra sender - the microphone's is the other one
+    const sender = entry.pc.getSenders().find(s =>
+      s.track && s.track.kind === newTrack.kind && !(screenShare && s.track === screenShare.audioTrack)
+    );
+    if (sender) {
+      await sender.replaceTrack(newTrack);
+      log(`✅ ${newTrack.kind} track replaced in peer connection with ${entry.id}`);
+    } else {
+      logWarn(`No ${newTrack.kind} sender found in peer connection with ${entry.id}`);
+    }
+  });
+  await Promise.all(replacements);
+}
+
 // Function to switch to a specific camera by deviceId
 async function switchToCamera(deviceId) {
   if (!localStream || !deviceId) return;
@@ -1869,16 +4180,9 @@ async function switchToCamera(deviceId) {
     
     // IMPORTANT: Replace track in peer connection FIRST, before updating local stream
     // This ensures continuity and prevents black screen
-    if (peer && peer._pc) {
-      const sender = peer._pc.getSenders().find(s => 
-        s.track && s.track.kind === 'video'
-      );
-      if (sender) {
-        await sender.replaceTrack(newVideoTrack);
-        log("✅ Video track replaced in peer connection");
-      } else {
-        logWarn("No video sender found in peer connection");
-      }
+    // (while we share our screen, the new camera is only sent once sharing stops)
+    if (!screenShare) {
+      await replaceOutgoingTrack(newVideoTrack);
     }
     
     // Replace the entire stream in the video element
@@ -1909,6 +4213,7 @@ async function switchToCamera(deviceId) {
       currentCameraIndex = cameraIndex;
     }
     
+    storeDevice(CAMERA_STORAGE_KEY, deviceId);
     log(`📹 Switched to camera: ${availableCameras.find(cam => cam.deviceId === deviceId)?.label || 'Camera'}`);
   } catch (err) {
     // Log detailed error information
@@ -1950,13 +4255,8 @@ async function switchToCamera(deviceId) {
             updatedStream.addTrack(audioTrack);
           }
           
-          if (peer && peer._pc) {
-            const sender = peer._pc.getSenders().find(s => 
-              s.track && s.track.kind === 'video'
-            );
-            if (sender) {
-              await sender.replaceTrack(fallbackTrack);
-            }
+          if (!screenShare) {
+            await replaceOutgoingTrack(fallbackTrack);
           }
           
           const oldVideoTrack = localStream.getVideoTracks()[0];
@@ -1971,6 +4271,7 @@ async function switchToCamera(deviceId) {
               track.stop();
             }
           });
+          storeDevice(CAMERA_STORAGE_KEY, deviceId);
           log("✅ Camera switched using fallback method");
           return; // Success with fallback
         }
@@ -1978,127 +4279,757 @@ async function switchToCamera(deviceId) {
         logWarn("❌ Fallback method also failed:", fallbackErr?.message || fallbackErr);
       }
     }
-    
-    alert(errorMessage);
+    
+    alert(errorMessage);
+  }
+}
+
+// Function to show camera selection dialog
+async function showCameraSelection() {
+  if (!localStream) {
+    alert("No active video stream.");
+    return;
+  }
+  
+  try {
+    // Re-enumerate cameras to ensure we have the latest list with labels
+    const cameras = await navigator.mediaDevices.enumerateDevices();
+    const videoInputs = cameras.filter(device => device.kind === 'videoinput');
+    
+    if (videoInputs.length < 2) {
+      alert("Only one camera is available.");
+      return;
+    }
+    
+    // Update available cameras list
+    availableCameras = videoInputs;
+    
+    // Get current camera ID
+    const currentTrack = localStream.getVideoTracks()[0];
+    const currentSettings = currentTrack?.getSettings();
+    const currentCameraId = currentSettings?.deviceId;
+    
+    // Create a simple selection dialog
+    const dialog = document.createElement('div');
+    dialog.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      right: 0;
+      bottom: 0;
+      background: rgba(0, 0, 0, 0.7);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      z-index: 10000;
+    `;
+    
+    const content = document.createElement('div');
+    content.style.cssText = `
+      background: white;
+      padding: 2rem;
+      border-radius: 12px;
+      max-width: 90%;
+      max-height: 80%;
+      overflow-y: auto;
+    `;
+    
+    const title = document.createElement('h3');
+    title.textContent = 'Select Camera';
+    title.style.cssText = 'margin: 0 0 1rem 0; color: #333;';
+    content.appendChild(title);
+    
+    const list = document.createElement('div');
+    list.style.cssText = 'display: flex; flex-direction: column; gap: 0.5rem;';
+    
+    videoInputs.forEach((cam, index) => {
+      const button = document.createElement('button');
+      const label = cam.label || `Camera ${index + 1}`;
+      const isCurrent = cam.deviceId === currentCameraId;
+      button.textContent = label + (isCurrent ? ' (Current)' : '');
+      button.style.cssText = `
+        padding: 1rem;
+        border: 2px solid ${isCurrent ? '#667eea' : '#ddd'};
+        background: ${isCurrent ? '#f0f0ff' : 'white'};
+        border-radius: 8px;
+        cursor: pointer;
+        font-size: 1rem;
+        text-align: left;
+      `;
+      button.onclick = async () => {
+        document.body.removeChild(dialog);
+        await switchToCamera(cam.deviceId);
+      };
+      list.appendChild(button);
+    });
+    
+    const cancel = document.createElement('button');
+    cancel.textContent = 'Cancel';
+    cancel.style.cssText = `
+      margin-top: 1rem;
+      padding: 0.75rem 1.5rem;
+      border: 2px solid #ddd;
+      background: white;
+      border-radius: 8px;
+      cursor: pointer;
+      font-size: 1rem;
+      width: 100%;
+    `;
+    cancel.onclick = () => {
+      document.body.removeChild(dialog);
+    };
+    
+    content.appendChild(list);
+    content.appendChild(cancel);
+    dialog.appendChild(content);
+    document.body.appendChild(dialog);
+    
+    // Close on backdrop click
+    dialog.onclick = (e) => {
+      if (e.target === dialog) {
+        document.body.removeChild(dialog);
+      }
+    };
+  } catch (err) {
+    console.error("Error showing camera selection:", err);
+    alert("Failed to load cameras. Please try again.");
+  }
+}
+
+// ====== Microphone, speaker and device settings ======
+// The chosen camera, microphone and speaker are remembered across calls (by device id; a device that's
+// gone is simply not found and the browser's default is used instead)
+function getStoredDevice(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch (_) {
+    return null;
+  }
+}
+
+function storeDevice(key, deviceId) {
+  try {
+    localStorage.setItem(key, deviceId);
+  } catch (_) {}
+}
+
+// Constraints of the first getUserMedia - with the devices chosen in an earlier call, if any
+function getMediaConstraints() {
+  const cameraId = getStoredDevice(CAMERA_STORAGE_KEY);
+  const microphoneId = getStoredDevice(MICROPHONE_STORAGE_KEY);
+  return {
+    video: cameraId ? { ...CONFIG.VIDEO, deviceId: { ideal: cameraId } } : CONFIG.VIDEO,
+    audio: microphoneId ? { ...CONFIG.AUDIO, deviceId: { ideal: microphoneId } } : CONFIG.AUDIO,
+  };
+}
+
+// Like switchToCamera, for the microphone: the new track replaces the old one on every sender
+async function switchToMicrophone(deviceId) {
+  if (!localStream || !deviceId) return;
+  const currentTrack = localStream.getAudioTracks()[0];
+  if (currentTrack?.getSettings().deviceId === deviceId) {
+    log("ℹ️ Microphone is already selected, no need to switch");
+    return;
+  }
+
+  try {
+    log(`🎤 Switching to microphone: ${deviceId}`);
+    const newStream = await navigator.mediaDevices.getUserMedia({
+      audio: { ...CONFIG.AUDIO, deviceId: { exact: deviceId } }
+    });
+    const newAudioTrack = newStream.getAudioTracks()[0];
+    if (!newAudioTrack || !localStream) {
+      newStream.getTracks().forEach(track => track.stop());
+      return;
+    }
+    newAudioTrack.enabled = !isMuted;
+
+    await replaceOutgoingTrack(newAudioTrack);
+
+    const updatedStream = new MediaStream();
+    localStream.getVideoTracks().forEach(track => updatedStream.addTrack(track));
+    updatedStream.addTrack(newAudioTrack);
+    localStream.getAudioTracks().forEach(track => track.stop());
+    localStream = updatedStream;
+    localVideo.srcObject = updatedStream;
+    localVideo.play().catch((err) => {
+      logWarn("⚠️ Error playing local video after microphone switch:", err);
+    });
+
+    storeDevice(MICROPHONE_STORAGE_KEY, deviceId);
+    log(`🎤 Switched to microphone: ${newAudioTrack.label || "Microphone"}`);
+  } catch (err) {
+    logWarn("❌ Error switching microphone:", err?.name, err?.message || err);
+    if (err?.name === "NotReadableError") {
+      alert("Microphone is in use by another application. Please close other apps using it and try again.");
+    } else if (err?.name === "NotFoundError" || err?.name === "OverconstrainedError") {
+      alert("Microphone not found. It may have been disconnected.");
+    } else {
+      alert("Failed to switch microphone.");
+    }
+  }
+}
+
+function isSpeakerSelectionSupported() {
+  return typeof HTMLMediaElement.prototype.setSinkId === "function";
+}
+
+// Play the others through the chosen speaker (each tile's video element plays its member's audio)
+// Returns false if the browser refused the device (gone, or not allowed)
+async function applySpeaker(video, speakerId = getStoredDevice(SPEAKER_STORAGE_KEY)) {
+  if (speakerId === null || !isSpeakerSelectionSupported() || video.sinkId === speakerId) return true;
+  try {
+    await video.setSinkId(speakerId);
+    return true;
+  } catch (err) {
+    logWarn("⚠️ Could not use the chosen speaker:", err?.name, err?.message || err);
+    return false;
+  }
+}
+
+// Only remembered once the browser accepted it - alone in the call, a spare element tries it
+async function switchToSpeaker(deviceId) {
+  const videos = [...peers.values()].map((entry) => entry.video);
+  const targets = videos.length > 0 ? videos : [document.createElement("audio")];
+  const results = await Promise.all(targets.map((video) => applySpeaker(video, deviceId)));
+  if (results.includes(false)) {
+    // Back to the speaker we had (the browser's default if none was chosen)
+    await Promise.all(videos.map((video) => applySpeaker(video, getStoredDevice(SPEAKER_STORAGE_KEY) || "")));
+    alert("Failed to switch speaker.");
+    return;
+  }
+  storeDevice(SPEAKER_STORAGE_KEY, deviceId);
+  log(`🔊 Switched to speaker: ${deviceId}`);
+}
+
+// Camera, microphone and speaker in one dialog - changes apply right away
+async function showDeviceSettings() {
+  if (!localStream) {
+    alert("No active media stream.");
+    return;
+  }
+
+  let devices;
+  try {
+    devices = await navigator.mediaDevices.enumerateDevices();
+  } catch (err) {
+    console.error("Error enumerating devices:", err);
+    alert("Failed to load devices. Please try again.");
+    return;
+  }
+
+  const dialog = document.createElement('div');
+  dialog.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    right: 0;
+    bottom: 0;
+    background: rgba(0, 0, 0, 0.7);
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    z-index: 10000;
+  `;
+
+  const content = document.createElement('div');
+  content.style.cssText = `
+    background: white;
+    padding: 2rem;
+    border-radius: 12px;
+    width: min(420px, 90%);
+    max-height: 80%;
+    overflow-y: auto;
+    color: #333;
+  `;
+
+  const title = document.createElement('h3');
+  title.textContent = 'Settings';
+  title.style.cssText = 'margin: 0 0 1rem 0; color: #333;';
+  content.appendChild(title);
+
+  const addDeviceSelect = (labelText, kind, currentId, onChange) => {
+    const inputs = devices.filter(device => device.kind === kind);
+    if (inputs.length === 0) return;
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    label.style.cssText = 'display: block; margin: 0 0 0.25rem 0; font-weight: 600;';
+    const select = document.createElement('select');
+    select.style.cssText = `
+      width: 100%;
+      margin-bottom: 1rem;
+      padding: 0.75rem;
+      border: 2px solid #ddd;
+      border-radius: 8px;
+      font-size: 1rem;
+      background: white;
+    `;
+    inputs.forEach((device, index) => {
+      const option = document.createElement('option');
+      option.value = device.deviceId;
+      option.textContent = device.label || `${labelText} ${index + 1}`;
+      option.selected = device.deviceId === currentId;
+      select.appendChild(option);
+    });
+    select.onchange = async () => {
+      select.disabled = true;
+      await onChange(select.value);
+      select.disabled = false;
+    };
+    label.appendChild(select);
+    content.appendChild(label);
+  };
+
+  const currentCameraId = localStream.getVideoTracks()[0]?.getSettings().deviceId;
+  addDeviceSelect('Camera', 'videoinput', currentCameraId, async (deviceId) => {
+    availableCameras = devices.filter(device => device.kind === 'videoinput');
+    await switchToCamera(deviceId);
+  });
+  const currentMicrophoneId = localStream.getAudioTracks()[0]?.getSettings().deviceId;
+  addDeviceSelect('Microphone', 'audioinput', currentMicrophoneId, switchToMicrophone);
+  if (isSpeakerSelectionSupported()) {
+    addDeviceSelect('Speaker', 'audiooutput', getStoredDevice(SPEAKER_STORAGE_KEY) || 'default', switchToSpeaker);
+  }
+
+  if (isPictureInPictureSupported()) {
+    const pipLabel = document.createElement('label');
+    pipLabel.style.cssText = 'display: flex; align-items: center; gap: 0.5rem; margin-bottom: 1rem; cursor: pointer;';
+    const pipCheckbox = document.createElement('input');
+    pipCheckbox.type = 'checkbox';
+    pipCheckbox.checked = getAutoPictureInPicture() === 'on';
+    pipCheckbox.onchange = () => setAutoPictureInPicture(pipCheckbox.checked);
+    pipLabel.appendChild(pipCheckbox);
+    pipLabel.appendChild(document.createTextNode('Picture-in-picture when I switch tabs'));
+    content.appendChild(pipLabel);
+  }
+
+  const done = document.createElement('button');
+  done.textContent = 'Done';
+  done.style.cssText = `
+    margin-top: 0.5rem;
+    padding: 0.75rem 1.5rem;
+    border: 2px solid #667eea;
+    background: #667eea;
+    color: white;
+    border-radius: 8px;
+    cursor: pointer;
+    font-size: 1rem;
+    width: 100%;
+  `;
+  done.onclick = () => {
+    dialog.remove();
+  };
+  content.appendChild(done);
+  dialog.appendChild(content);
+  document.body.appendChild(dialog);
+
+  // Close on backdrop click
+  dialog.onclick = (e) => {
+    if (e.target === dialog) {
+      dialog.remove();
+    }
+  };
+}
+
+// ====== Call state ======
+// What the others should know about our side of the call, sent over a data channel of each connection
+// whenever it changes and whenever the channel (re)opens - so a recreated connection is up to date too
+function getCallState() {
+  return { type: "call-state", screenSharing: !!screenShare, recording: !!recording };
+}
+
+function sendCallState(entry) {
+  const channel = entry.stateChannel;
+  if (!channel || channel.readyState !== "open") return;
+  try {
+    channel.send(JSON.stringify(getCallState()));
+  } catch (err) {
+    logWarn(`⚠️ Call state to ${entry.id} not sent:`, err.message || err);
+  }
+}
+
+function broadcastCallState() {
+  peers.forEach(sendCallState);
+}
+
+function receiveCallState(entry, data) {
+  let state;
+  try {
+    state = JSON.parse(data);
+  } catch (err) {
+    state = null;
+  }
+  if (!state || state.type !== "call-state" || typeof state.screenSharing !== "boolean" ||
+    typeof state.recording !== "boolean") {
+    logWarn(`⚠️ Ignoring invalid call state from ${entry.id}`);
+    return;
+  }
+
+  if (state.screenSharing !== entry.screenSharing) {
+    entry.screenSharing = state.screenSharing;
+    // A shared screen is shown whole (object-fit: contain) rather than cropped to the tile
+    entry.tile.classList.toggle("screen-share", state.screenSharing);
+    log(state.screenSharing ? `🖥️ ${entry.id} is sharing their screen` : `🖥️ ${entry.id} stopped sharing their screen`);
+    if (state.screenSharing) {
+      showPeerNotice(`🖥️ ${getParticipantName(entry.id)} is sharing their screen`);
+    }
+  }
+
+  if (state.recording !== entry.recording) {
+    entry.recording = state.recording;
+    entry.tile.classList.toggle("recording", state.recording);
+    log(state.recording ? `⏺️ ${entry.id} started recording` : `⏺️ ${entry.id} stopped recording`);
+    showPeerNotice(state.recording
+      ? `⏺️ ${getParticipantName(entry.id)} started recording the call`
+      : `⏺️ ${getParticipantName(entry.id)} stopped recording`);
+    updateRecordingIndicator();
+  }
+}
+
+// ====== Screen sharing ======
+// The shared screen replaces the camera on the existing video senders (replaceTrack, like a camera
+// switch), so nothing is renegotiated for it. Tab/system audio, if the user chose to share it, is an
+// additional track - that one does renegotiate.
+async function startScreenShare() {
+  if (screenShare || !localStream) return;
+  let stream;
+  try {
+    stream = await navigator.mediaDevices.getDisplayMedia({
+      video: { frameRate: { ideal: 15, max: 30 } },
+      audio: true // Only offered by some browsers, and the user decides in the picker
+    });
+  } catch (err) {
+    if (err.name === "NotAllowedError" || err.name === "AbortError") {
+      log("🖥️ Screen sharing cancelled");
+    } else {
+      logWarn("❌ Screen sharing failed:", err.name, err.message);
+      alert("Screen sharing is not available.");
+    }
+    return;
+  }
+  const videoTrack = stream.getVideoTracks()[0];
+  // Left the call while the picker was open
+  if (screenShare || !localStream || !videoTrack) {
+    stream.getTracks().forEach((track) => track.stop());
+    return;
+  }
+
+  videoTrack.contentHint = "detail"; // Keep text sharp rather than motion smooth
+  // The browser's own "Stop sharing" bar ends the track
+  videoTrack.onended = () => {
+    log("🖥️ Screen sharing stopped by the browser");
+    stopScreenShare();
+  };
+  screenShare = {
+    stream,
+    videoTrack,
+    audioTrack: stream.getAudioTracks()[0] || null,
+    audioSenders: new Map(), // peerId -> { pc, sender } of the additional audio track
+  };
+  await replaceOutgoingTrack(videoTrack);
+  peers.forEach(addScreenShareAudio);
+  updateScreenShareButton();
+  broadcastCallState();
+  log(`🖥️ Sharing screen${screenShare.audioTrack ? " with audio" : ""}`);
+}
+
+// Send the shared audio to a member - with the stream their connection was created with, so it
+// arrives in the stream their tile already plays
+function addScreenShareAudio(entry) {
+  if (!screenShare || !screenShare.audioTrack || !entry.pc || !entry.outgoingStream) return;
+  const sender = entry.pc.addTrack(screenShare.audioTrack, entry.outgoingStream);
+  applyE2eeTransform(sender, "encrypt");
+  screenShare.audioSenders.set(entry.id, { pc: entry.pc, sender });
+}
+
+async function stopScreenShare() {
+  if (!screenShare) return;
+  const share = screenShare;
+  screenShare = null;
+  share.videoTrack.onended = null;
+
+  // Back to the camera (still running, possibly switched or turned off meanwhile)
+  const cameraTrack = localStream && localStream.getVideoTracks()[0];
+  if (cameraTrack) {
+    try {
+      await replaceOutgoingTrack(cameraTrack);
+    } catch (err) {
+      logWarn("⚠️ Could not switch back to the camera:", err);
+    }
   }
+  share.audioSenders.forEach(({ pc, sender }) => {
+    if (pc.signalingState === "closed") return;
+    try {
+      pc.removeTrack(sender);
+    } catch (err) {
+      logWarn("⚠️ Could not remove the shared audio:", err);
+    }
+  });
+  share.stream.getTracks().forEach((track) => track.stop());
+  updateScreenShareButton();
+  broadcastCallState();
+  log("🖥️ Screen sharing stopped - camera restored");
 }
 
-// Function to show camera selection dialog
-async function showCameraSelection() {
-  if (!localStream) {
-    alert("No active video stream.");
+function updateScreenShareButton() {
+  if (!btnShareScreen) return;
+  btnShareScreen.classList.toggle("active", !!screenShare);
+  btnShareScreen.title = screenShare ? "Stop sharing" : "Share screen";
+}
+
+// ====== Recording ======
+// Records the call as everyone sees it - the remote tiles and our own video drawn onto a canvas, our
+// and their audio mixed with Web Audio - into a WebM that stays on this device. The others are told
+// (call state) and see a recording indicator for as long as it runs.
+const RECORDING_MIME_TYPES = ["video/webm;codecs=vp9,opus", "video/webm;codecs=vp8,opus", "video/webm"];
+
+function isRecordingSupported() {
+  return typeof MediaRecorder !== "undefined" && typeof HTMLCanvasElement.prototype.captureStream === "function" &&
+    typeof (window.AudioContext || window.webkitAudioContext) === "function";
+}
+
+function startRecording() {
+  if (recording || !localStream) return;
+  if (!confirm("Everyone in the call will see that you are recording. Only record with their consent.\n\nStart recording?")) return;
+
+  const mimeType = RECORDING_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+  if (!mimeType) {
+    alert("This browser can't record WebM video.");
     return;
   }
-  
+  const canvas = document.createElement("canvas");
+  canvas.width = CONFIG.RECORDING_WIDTH;
+  canvas.height = CONFIG.RECORDING_HEIGHT;
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  const audioContext = new AudioContextClass();
+  const destination = audioContext.createMediaStreamDestination();
+  const stream = new MediaStream([
+    ...canvas.captureStream(CONFIG.RECORDING_FRAME_RATE).getVideoTracks(),
+    ...destination.stream.getAudioTracks(),
+  ]);
+
+  let recorder;
   try {
-    // Re-enumerate cameras to ensure we have the latest list with labels
-    const cameras = await navigator.mediaDevices.enumerateDevices();
-    const videoInputs = cameras.filter(device => device.kind === 'videoinput');
-    
-    if (videoInputs.length < 2) {
-      alert("Only one camera is available.");
-      return;
-    }
-    
-    // Update available cameras list
-    availableCameras = videoInputs;
-    
-    // Get current camera ID
-    const currentTrack = localStream.getVideoTracks()[0];
-    const currentSettings = currentTrack?.getSettings();
-    const currentCameraId = currentSettings?.deviceId;
-    
-    // Create a simple selection dialog
-    const dialog = document.createElement('div');
-    dialog.style.cssText = `
-      position: fixed;
-      top: 0;
-      left: 0;
-      right: 0;
-      bottom: 0;
-      background: rgba(0, 0, 0, 0.7);
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      z-index: 10000;
-    `;
-    
-    const content = document.createElement('div');
-    content.style.cssText = `
-      background: white;
-      padding: 2rem;
-      border-radius: 12px;
-      max-width: 90%;
-      max-height: 80%;
-      overflow-y: auto;
-    `;
-    
-    const title = document.createElement('h3');
-    title.textContent = 'Select Camera';
-    title.style.cssText = 'margin: 0 0 1rem 0; color: #333;';
-    content.appendChild(title);
-    
-    const list = document.createElement('div');
-    list.style.cssText = 'display: flex; flex-direction: column; gap: 0.5rem;';
-    
-    videoInputs.forEach((cam, index) => {
-      const button = document.createElement('button');
-      const label = cam.label || `Camera ${index + 1}`;
-      const isCurrent = cam.deviceId === currentCameraId;
-      button.textContent = label + (isCurrent ? ' (Current)' : '');
-      button.style.cssText = `
-        padding: 1rem;
-        border: 2px solid ${isCurrent ? '#667eea' : '#ddd'};
-        background: ${isCurrent ? '#f0f0ff' : 'white'};
-        border-radius: 8px;
-        cursor: pointer;
-        font-size: 1rem;
-        text-align: left;
-      `;
-      button.onclick = async () => {
-        document.body.removeChild(dialog);
-        await switchToCamera(cam.deviceId);
-      };
-      list.appendChild(button);
-    });
-    
-    const cancel = document.createElement('button');
-    cancel.textContent = 'Cancel';
-    cancel.style.cssText = `
-      margin-top: 1rem;
-      padding: 0.75rem 1.5rem;
-      border: 2px solid #ddd;
-      background: white;
-      border-radius: 8px;
-      cursor: pointer;
-      font-size: 1rem;
-      width: 100%;
-    `;
-    cancel.onclick = () => {
-      document.body.removeChild(dialog);
-    };
-    
-    content.appendChild(list);
-    content.appendChild(cancel);
-    dialog.appendChild(content);
-    document.body.appendChild(dialog);
-    
-    // Close on backdrop click
-    dialog.onclick = (e) => {
-      if (e.target === dialog) {
-        document.body.removeChild(dialog);
-      }
-    };
+    recorder = new MediaRecorder(stream, { mimeType });
   } catch (err) {
-    console.error("Error showing camera selection:", err);
-    alert("Failed to load cameras. Please try again.");
+    logWarn("❌ Could not start recording:", err);
+    audioContext.close();
+    alert("Recording is not available.");
+    return;
+  }
+
+  recording = {
+    recorder,
+    mimeType,
+    chunks: [],
+    canvas,
+    audioContext,
+    destination,
+    sources: new Map(), // audio track id -> MediaStreamAudioSourceNode feeding the mix
+    drawInterval: null, // for cleanup
+    startedAt: Date.now(),
+  };
+  const current = recording;
+  recorder.ondataavailable = (event) => {
+    if (event.data && event.data.size > 0) {
+      current.chunks.push(event.data);
+    }
+  };
+  recorder.onstop = () => finishRecording(current);
+
+  syncRecordingAudio();
+  drawRecordingFrame();
+  // A timer rather than requestAnimationFrame, which stops while the tab is in the background
+  let ticks = 0;
+  recording.drawInterval = setInterval(() => {
+    drawRecordingFrame();
+    // Members, tracks and the indicator's clock change rarely - check them once a second
+    if (++ticks % CONFIG.RECORDING_FRAME_RATE === 0) {
+      syncRecordingAudio();
+      updateRecordingIndicator();
+    }
+  }, 1000 / CONFIG.RECORDING_FRAME_RATE);
+  recorder.start(1000);
+
+  updateRecordButton();
+  updateRecordingIndicator();
+  broadcastCallState();
+  log(`⏺️ Recording started (${mimeType})`);
+}
+
+function stopRecording() {
+  if (!recording) return;
+  const current = recording;
+  recording = null;
+  clearInterval(current.drawInterval);
+  // finishRecording runs once the recorder has handed over its last data
+  if (current.recorder.state !== "inactive") {
+    current.recorder.stop();
+  } else {
+    finishRecording(current);
+  }
+  updateRecordButton();
+  updateRecordingIndicator();
+  broadcastCallState();
+}
+
+function finishRecording(current) {
+  current.sources.forEach((source) => source.disconnect());
+  current.audioContext.close().catch(() => {});
+  if (current.chunks.length === 0) {
+    logWarn("⏺️ Recording stopped - nothing was recorded");
+    return;
+  }
+  const blob = new Blob(current.chunks, { type: "video/webm" });
+  current.chunks = [];
+  const duration = Date.now() - current.startedAt;
+  log(`⏺️ Recording stopped (${formatDuration(duration)}, ${blob.size} bytes)`);
+  showRecordingDownload(blob, duration, current.startedAt);
+}
+
+// Mix every audio track of the call: ours, the shared screen's and each member's
+function syncRecordingAudio() {
+  if (!recording) return;
+  const tracks = [];
+  if (localStream) tracks.push(...localStream.getAudioTracks());
+  if (screenShare && screenShare.audioTrack) tracks.push(screenShare.audioTrack);
+  peers.forEach((entry) => {
+    if (entry.video.srcObject) tracks.push(...entry.video.srcObject.getAudioTracks());
+  });
+
+  const { sources, audioContext, destination } = recording;
+  const live = tracks.filter((track) => track.readyState === "live");
+  live.forEach((track) => {
+    if (sources.has(track.id)) return;
+    const source = audioContext.createMediaStreamSource(new MediaStream([track]));
+    source.connect(destination);
+    sources.set(track.id, source);
+  });
+  sources.forEach((source, trackId) => {
+    if (!live.some((track) => track.id === trackId)) {
+      source.disconnect();
+      sources.delete(trackId);
+    }
+  });
+}
+
+// The remote tiles in a grid, our own video in the corner (full frame while we're alone)
+function drawRecordingFrame() {
+  if (!recording) return;
+  const { canvas } = recording;
+  const context = canvas.getContext("2d");
+  context.fillStyle = "#000";
+  context.fillRect(0, 0, canvas.width, canvas.height);
+
+  const tiles = [...peers.values()].filter((entry) => entry.video.srcObject);
+  const columns = Math.ceil(Math.sqrt(tiles.length));
+  const rows = Math.ceil(tiles.length / columns);
+  tiles.forEach((entry, index) => {
+    const width = canvas.width / columns;
+    const height = canvas.height / rows;
+    const x = (index % columns) * width;
+    const y = Math.floor(index / columns) * height;
+    drawVideoFit(context, entry.video, x, y, width, height, entry.screenSharing ? "contain" : "cover");
+  });
+
+  const ownVideo = screenShare ? null : localVideo;
+  if (ownVideo && !isCameraOff) {
+    if (tiles.length === 0) {
+      drawVideoFit(context, ownVideo, 0, 0, canvas.width, canvas.height, "cover");
+    } else {
+      const width = canvas.width / 4;
+      const height = canvas.height / 4;
+      const margin = 16;
+      drawVideoFit(context, ownVideo, canvas.width - width - margin, canvas.height - height - margin, width, height, "cover");
+    }
+  }
+}
+
+function drawVideoFit(context, video, x, y, width, height, fit) {
+  if (video.readyState < 2 || !video.videoWidth || !video.videoHeight) return;
+  const scale = fit === "contain"
+    ? Math.min(width / video.videoWidth, height / video.videoHeight)
+    : Math.max(width / video.videoWidth, height / video.videoHeight);
+  const drawWidth = video.videoWidth * scale;
+  const drawHeight = video.videoHeight * scale;
+  context.save();
+  context.beginPath();
+  context.rect(x, y, width, height);
+  context.clip();
+  context.drawImage(video, x + (width - drawWidth) / 2, y + (height - drawHeight) / 2, drawWidth, drawHeight);
+  context.restore();
+}
+
+function formatDuration(ms) {
+  const seconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+  const pad = (value) => String(value).padStart(2, "0");
+  return hours > 0 ? `${hours}:${pad(minutes % 60)}:${pad(seconds % 60)}` : `${pad(minutes)}:${pad(seconds % 60)}`;
+}
+
+// The finished recording - saved only when the user asks for it
+function showRecordingDownload(blob, duration, startedAt) {
+  if (!fileTransfersList) return;
+  const url = URL.createObjectURL(blob);
+  const root = document.createElement("div");
+  root.className = "file-transfer";
+  const title = document.createElement("div");
+  title.className = "file-transfer-name";
+  title.textContent = "⏺️ Call recording";
+  const info = document.createElement("div");
+  info.className = "file-transfer-info";
+  info.textContent = `${formatFileSize(blob.size)} · ${formatDuration(duration)}`;
+  const actions = document.createElement("div");
+  actions.className = "file-transfer-actions";
+  const save = document.createElement("a");
+  save.className = "copy-btn admit-btn";
+  save.href = url;
+  save.download = `litecall-${room}-${new Date(startedAt).toISOString().slice(0, 19).replace(/[T:]/g, "-")}.webm`;
+  save.textContent = "Save";
+  const dismiss = document.createElement("button");
+  dismiss.className = "copy-btn";
+  dismiss.textContent = "✕";
+  dismiss.addEventListener("click", () => {
+    if (!confirm("Discard this recording? It hasn't been uploaded anywhere.")) return;
+    URL.revokeObjectURL(url);
+    root.remove();
+  });
+  actions.append(save, dismiss);
+  root.append(title, info, actions);
+  fileTransfersList.appendChild(root);
+}
+
+function updateRecordButton() {
+  if (!btnRecord) return;
+  btnRecord.classList.toggle("recording", !!recording);
+  btnRecord.title = recording ? "Stop recording" : "Record the call";
+}
+
+// Shown while we or anyone else records
+function updateRecordingIndicator() {
+  if (!recordingIndicator) return;
+  const others = [...peers.values()].filter((entry) => entry.recording);
+  let text = null;
+  if (recording) {
+    text = `● Recording ${formatDuration(Date.now() - recording.startedAt)}`;
+  } else if (others.length === 1) {
+    text = `● ${getParticipantName(others[0].id)} is recording`;
+  } else if (others.length > 1) {
+    text = `● ${others.length} participants are recording`;
   }
+  recordingIndicator.textContent = text || "";
+  recordingIndicator.classList.toggle("hidden", !text);
 }
 
 // ====== Controls ======
 const btnMute = document.getElementById("btn-mute");
 const btnCamera = document.getElementById("btn-camera");
 btnSwitchCamera = document.getElementById("btn-switch-camera");
+const btnShareScreen = document.getElementById("btn-share-screen");
+const btnRecord = document.getElementById("btn-record");
+const btnPip = document.getElementById("btn-pip");
+const btnSettings = document.getElementById("btn-settings");
 const btnFullscreen = document.getElementById("btn-fullscreen");
 const btnLeave = document.getElementById("btn-leave");
 const btnCopyLogs = document.getElementById("btn-copy-logs");
@@ -2149,6 +5080,7 @@ if (btnMute) {
       micIcon.src = isMuted ? "/images/mic-off.svg" : "/images/mic-on.svg";
     }
     log(isMuted ? "🔇 Mic muted" : "🎤 Mic unmuted");
+    updatePictureInPictureControls();
   });
 }
 
@@ -2162,6 +5094,7 @@ if (btnCamera) {
       cameraIcon.src = isCameraOff ? "/images/camera-off.svg" : "/images/camera-on.png";
     }
     log(isCameraOff ? "📷 Camera off" : "🎥 Camera on");
+    updatePictureInPictureControls();
   });
 }
 
@@ -2172,6 +5105,42 @@ if (btnSwitchCamera) {
   });
 }
 
+if (btnSettings) {
+  btnSettings.addEventListener("click", async (e) => {
+    e.stopPropagation();
+    await showDeviceSettings();
+  });
+}
+
+if (btnShareScreen) {
+  // Not available on mobile browsers
+  if (!navigator.mediaDevices || !navigator.mediaDevices.getDisplayMedia) {
+    btnShareScreen.style.display = "none";
+  }
+  btnShareScreen.addEventListener("click", async (e) => {
+    e.stopPropagation();
+    if (screenShare) {
+      await stopScreenShare();
+    } else {
+      await startScreenShare();
+    }
+  });
+}
+
+if (btnRecord) {
+  if (!isRecordingSupported()) {
+    btnRecord.style.display = "none";
+  }
+  btnRecord.addEventListener("click", (e) => {
+    e.stopPropagation();
+    if (recording) {
+      stopRecording();
+    } else {
+      startRecording();
+    }
+  });
+}
+
 if (btnFullscreen) {
   btnFullscreen.addEventListener("click", async (e) => {
     e.stopPropagation();
@@ -2212,6 +5181,7 @@ if (btnFullscreen) {
 
 if (btnLeave) {
   btnLeave.addEventListener("click", () => {
+    if (recording && !confirm("You are recording. Leave the call and discard the recording?")) return;
     log("👋 Disconnecting...");
     cleanup();
     
@@ -2261,6 +5231,214 @@ if (btnCopyLogs) {
   });
 }
 
+// ====== Picture-in-picture ======
+// Keeps the call visible while the user works in another tab. Document Picture-in-Picture (Chrome)
+// moves the whole remote grid into a small always-on-top window, with mute/camera/hang-up buttons;
+// elsewhere the main remote video goes into regular video picture-in-picture.
+function isPictureInPictureSupported() {
+  return "documentPictureInPicture" in window || !!document.pictureInPictureEnabled;
+}
+
+function isInPictureInPicture() {
+  return !!pipWindow || !!document.pictureInPictureElement;
+}
+
+// The video for regular picture-in-picture: a shared screen first, otherwise the first member
+function getPictureInPictureVideo() {
+  const tiles = [...peers.values()].filter((entry) => entry.video.srcObject && entry.video.readyState >= 1);
+  const entry = tiles.find((candidate) => candidate.screenSharing) || tiles[0];
+  return entry ? entry.video : null;
+}
+
+async function enterPictureInPicture() {
+  if (isInPictureInPicture() || peers.size === 0) return false;
+  if ("documentPictureInPicture" in window) {
+    try {
+      await openDocumentPictureInPicture();
+      return true;
+    } catch (err) {
+      logWarn("⚠️ Document picture-in-picture failed - trying video picture-in-picture:", err.message || err);
+    }
+  }
+  const video = getPictureInPictureVideo();
+  if (!video || !document.pictureInPictureEnabled) return false;
+  try {
+    await video.requestPictureInPicture();
+    log("🖼️ Remote video in picture-in-picture");
+    return true;
+  } catch (err) {
+    logWarn("⚠️ Picture-in-picture failed:", err.message || err);
+    return false;
+  }
+}
+
+async function exitPictureInPicture() {
+  if (pipWindow) {
+    pipWindow.close(); // pagehide moves the grid back
+  }
+  if (document.pictureInPictureElement) {
+    try {
+      await document.exitPictureInPicture();
+    } catch (err) {
+      logWarn("⚠️ Could not leave picture-in-picture:", err.message || err);
+    }
+  }
+}
+
+async function openDocumentPictureInPicture() {
+  const pip = await window.documentPictureInPicture.requestWindow({ width: 400, height: 300 });
+  pipWindow = pip;
+
+  // Same look as here - our styles are all inline in room.html
+  document.querySelectorAll("style").forEach((style) => {
+    pip.document.head.appendChild(style.cloneNode(true));
+  });
+  pip.document.body.classList.add("pip-body");
+
+  const anchor = remotesContainer.nextSibling;
+  pip.document.body.appendChild(remotesContainer);
+  pip.document.body.appendChild(createPictureInPictureControls(pip.document));
+  // Moving a video to another document pauses it
+  peers.forEach((entry) => entry.video.play().catch(() => {}));
+
+  pip.addEventListener("pagehide", () => {
+    pipWindow = null;
+    pipControls = null;
+    document.body.insertBefore(remotesContainer, anchor && anchor.parentNode === document.body ? anchor : null);
+    peers.forEach((entry) => entry.video.play().catch(() => {}));
+    updatePictureInPictureButton();
+    log("🖼️ Picture-in-picture window closed");
+  });
+  updatePictureInPictureButton();
+  log("🖼️ Call moved to a picture-in-picture window");
+}
+
+// Mute, camera and hang up - they click the real buttons, so both stay in sync
+function createPictureInPictureControls(pipDocument) {
+  const bar = pipDocument.createElement("div");
+  bar.id = "pip-controls";
+  const addButton = (target, title) => {
+    const button = pipDocument.createElement("button");
+    button.title = title;
+    button.addEventListener("click", () => {
+      target.click();
+      updatePictureInPictureControls();
+    });
+    bar.appendChild(button);
+    return button;
+  };
+  pipControls = {
+    mute: btnMute ? addButton(btnMute, "Mute / Unmute") : null,
+    camera: btnCamera ? addButton(btnCamera, "Toggle Camera") : null,
+  };
+  if (btnLeave) {
+    const leave = addButton(btnLeave, "Disconnect");
+    leave.className = "pip-leave";
+    leave.textContent = "📞";
+  }
+  updatePictureInPictureControls();
+  return bar;
+}
+
+function updatePictureInPictureControls() {
+  if (!pipControls) return;
+  if (pipControls.mute) {
+    pipControls.mute.textContent = isMuted ? "🔇" : "🎤";
+  }
+  if (pipControls.camera) {
+    pipControls.camera.textContent = isCameraOff ? "🚫" : "🎥";
+  }
+}
+
+function updatePictureInPictureButton() {
+  if (!btnPip) return;
+  btnPip.classList.toggle("active", isInPictureInPicture());
+  btnPip.title = isInPictureInPicture() ? "Leave picture-in-picture" : "Picture-in-picture";
+}
+
+// "on"/"off" once the user has been asked, null before
+function getAutoPictureInPicture() {
+  try {
+    return localStorage.getItem(AUTO_PIP_STORAGE_KEY);
+  } catch (_) {
+    return null;
+  }
+}
+
+function setAutoPictureInPicture(enabled) {
+  try {
+    localStorage.setItem(AUTO_PIP_STORAGE_KEY, enabled ? "on" : "off");
+  } catch (_) {}
+  registerAutoPictureInPicture();
+}
+
+// Chrome opens picture-in-picture by itself when a call's tab is hidden - if the page asks for it
+function registerAutoPictureInPicture() {
+  if (!("mediaSession" in navigator)) return;
+  try {
+    navigator.mediaSession.setActionHandler(
+      "enterpictureinpicture",
+      getAutoPictureInPicture() === "on" ? () => enterAutoPictureInPicture() : null
+    );
+    autoPipByMediaSession = true;
+  } catch (err) {
+    // Action not supported by this browser - the visibilitychange fallback below tries instead
+    autoPipByMediaSession = false;
+  }
+}
+
+async function enterAutoPictureInPicture() {
+  // Opening takes a moment - don't start a second window meanwhile
+  if (autoPipEntering || isInPictureInPicture()) return;
+  autoPipEntering = true;
+  try {
+    autoPipActive = await enterPictureInPicture();
+  } finally {
+    autoPipEntering = false;
+  }
+}
+
+if (btnPip) {
+  if (!isPictureInPictureSupported()) {
+    btnPip.style.display = "none";
+  }
+  btnPip.addEventListener("click", async (e) => {
+    e.stopPropagation();
+    if (isInPictureInPicture()) {
+      autoPipActive = false;
+      await exitPictureInPicture();
+      return;
+    }
+    if (peers.size === 0) {
+      showPeerNotice("Nobody else is in the call yet");
+      return;
+    }
+    const entered = await enterPictureInPicture();
+    // Ask once (remembered across calls) - opening it on tab switch is opt-in
+    if (entered && getAutoPictureInPicture() === null) {
+      setAutoPictureInPicture(confirm("Open picture-in-picture automatically whenever you switch to another tab?"));
+    }
+  });
+}
+
+document.addEventListener("enterpictureinpicture", updatePictureInPictureButton);
+document.addEventListener("leavepictureinpicture", updatePictureInPictureButton);
+document.addEventListener("visibilitychange", () => {
+  if (getAutoPictureInPicture() !== "on") return;
+  if (document.visibilityState === "hidden") {
+    // Only where the media session can't do it (it has no user activation - works where the browser
+    // doesn't insist on a click)
+    if (!autoPipByMediaSession) {
+      enterAutoPictureInPicture();
+    }
+  } else if (autoPipActive) {
+    // Back on the tab - close what we opened by ourselves
+    autoPipActive = false;
+    exitPictureInPicture();
+  }
+});
+registerAutoPictureInPicture();
+
 // ====== Start ======
 // Show loading indicator initially for clients (will be hidden when role is determined)
 // This provides immediate feedback while waiting for connection
@@ -2275,10 +5453,14 @@ if (loadingIndicator && waitingScreen) {
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', () => {
     console.log("🔵 Starting WebSocket connection...");
+    initE2ee();
+    loadIceServers();
     initWebSocket();
   });
 } else {
   // DOM already loaded
   console.log("🔵 Starting WebSocket connection...");
+  initE2ee();
+  loadIceServers();
   initWebSocket();
 }
@@ -5,6 +5,9 @@ import url from "url";
 import path from "path";
 import { fileURLToPath } from "url";
 import crypto from "crypto";
+import zlib from "zlib";
+import { EventEmitter } from "events";
+import protocol from "./public/protocol.js";
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -69,6 +72,10 @@ function getAssetVersion(filePath) {
 // Generate versions for main assets
 const scriptVersion = getAssetVersion("script.js");
 console.log(`📦 Asset version (script.js): ${scriptVersion}`);
+const protocolVersion = getAssetVersion("protocol.js");
+console.log(`📦 Asset version (protocol.js): ${protocolVersion}`);
+const e2eeWorkerVersion = getAssetVersion("e2ee-worker.js");
+console.log(`📦 Asset version (e2ee-worker.js): ${e2eeWorkerVersion}`);
 
 // Generate version for images directory (use a single version for all images)
 // This will change if any image changes, forcing cache refresh
@@ -95,11 +102,41 @@ function getImagesVersion() {
 const imagesVersion = getImagesVersion();
 console.log(`📦 Asset version (images): ${imagesVersion}`);
 
-const connections = {}; // roomId -> [clients]
-const lastSignals = {}; // roomId -> last offer/answer
-const recentCandidates = {}; // roomId -> [recent ICE candidates from host] (for late-joining clients)
-const hosts = {}; // roomId -> first client WebSocket (the host)
+// ICE servers for WebRTC (STUN/TURN)
+// TURN credentials are time-limited and follow the TURN REST API scheme (coturn "use-auth-secret"):
+// username = "<expiry unix timestamp>:<random id>", credential = base64(HMAC-SHA1(TURN_SECRET, username))
+// Configure via TURN_URLS (comma-separated), TURN_SECRET, TURN_TTL (seconds) and STUN_URLS
+function parseUrlList(value) {
+  return (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+const STUN_URLS = parseUrlList(process.env.STUN_URLS || "stun:stun.l.google.com:19302");
+const TURN_URLS = parseUrlList(process.env.TURN_URLS);
+const TURN_SECRET = process.env.TURN_SECRET || "";
+const TURN_TTL = parseInt(process.env.TURN_TTL, 10) || 3600; // 1 hour
+
+if (TURN_URLS.length > 0 && TURN_SECRET) {
+  console.log(`🧊 TURN configured: ${TURN_URLS.join(", ")} (credentials valid for ${TURN_TTL}s)`);
+} else {
+  console.warn("⚠️ TURN is not configured (set TURN_URLS and TURN_SECRET) - only STUN will be used");
+}
+
+function createTurnCredentials() {
+  const expiresAt = Math.floor(Date.now() / 1000) + TURN_TTL;
+  const username = `${expiresAt}:${crypto.randomBytes(8).toString("hex")}`;
+  const credential = crypto.createHmac("sha1", TURN_SECRET).update(username).digest("base64");
+  return { username, credential, expiresAt };
+}
 
+const connections = {}; // roomId -> [sessions] (participants in join order, connected or reconnecting)
+const hosts = {}; // roomId -> host session (the first participant)
+const sessions = new Map(); // session token -> session { token, peerId, roomId, ws, graceTimer, mailbox }
+const roomPasscodes = {}; // roomId -> { salt, hash } (scrypt)
+const roomLobbies = {}; // roomId -> Map knockId -> parked WebSocket (present only when the lobby is enabled)
+const roomStates = {}; // roomId -> { createdAt, lastActiveAt, warned, warningTimer, endTimer } (policy timers)
 
 // Отдаём статические файлы из public/ с кэшированием
 // Set cache headers for static assets (JS, images, etc.)
@@ -136,6 +173,14 @@ app.get("/room", (req, res) => {
     /src="script\.js"/g,
     `src="script.js?v=${scriptVersion}"`
   );
+  roomHtml = roomHtml.replace(
+    /src="protocol\.js"/g,
+    `src="protocol.js?v=${protocolVersion}"`
+  );
+  roomHtml = roomHtml.replace(
+    /content="e2ee-worker\.js"/g,
+    `content="e2ee-worker.js?v=${e2eeWorkerVersion}"`
+  );
   // Replace image references with versioned versions
   roomHtml = roomHtml.replace(
     /src="\/images\/([^"]+)"/g,
@@ -156,40 +201,462 @@ app.get("/stats", (req, res) => {
   }
 });
 
+// ICE server config with fresh TURN credentials
+app.get("/ice-servers", (req, res) => {
+  const iceServers = [];
+  if (STUN_URLS.length > 0) {
+    iceServers.push({ urls: STUN_URLS });
+  }
+
+  let expiresAt = null;
+  if (TURN_URLS.length > 0 && TURN_SECRET) {
+    const turn = createTurnCredentials();
+    iceServers.push({ urls: TURN_URLS, username: turn.username, credential: turn.credential });
+    expiresAt = turn.expiresAt * 1000;
+  }
+
+  // Credentials are per request - never cache them
+  res.setHeader("Cache-Control", "no-store");
+  res.json({ iceServers, ttl: expiresAt ? TURN_TTL : null, expiresAt });
+});
+
+// Counters for monitoring - no addresses or room ids, just totals
+app.get("/metrics", (req, res) => {
+  res.setHeader("Cache-Control", "no-store");
+  res.json({
+    rooms: Object.keys(connections).length,
+    participants: sessions.size,
+    sockets: wss.clients.size + pollSockets.size,
+    pollingSockets: pollSockets.size,
+    rateLimits: rateLimitStats,
+    protocol: protocolStats
+  });
+});
+
 // Запускаем HTTP-сервер
 const server = app.listen(PORT, () =>
   console.log(`✅ Server running on port ${PORT}`)
 );
 
 // Создаём WebSocket-сервер на базе HTTP
-const wss = new WebSocketServer({ server });
+// Upgrades are rate limited per address before the socket is even created
+const wss = new WebSocketServer({
+  server,
+  verifyClient: (info, done) => {
+    const ip = getClientIp(info.req);
+    if (!takeToken(getUpgradeBucket(ip))) {
+      rateLimitStats.upgradesRejected++;
+      console.warn(`🚫 Too many connection attempts from ${ip}`);
+      done(false, 429, "Too Many Requests");
+      return;
+    }
+    done(true);
+  }
+});
+
+// Heartbeat settings (ms) - sockets that don't answer pings within the timeout are evicted
+const WS_PING_INTERVAL = parseInt(process.env.WS_PING_INTERVAL, 10) || 15000;
+const WS_PING_TIMEOUT = parseInt(process.env.WS_PING_TIMEOUT, 10) || 40000;
+
+// How long a disconnected participant keeps their seat and role (ms)
+const SESSION_GRACE_PERIOD = parseInt(process.env.SESSION_GRACE_PERIOD, 10) || 30000;
+
+// Unacknowledged signals kept per participant - the oldest are dropped beyond these
+const MAX_MAILBOX_SIZE = 500; // signals
+const MAX_MAILBOX_BYTES = 1024 * 1024; // characters of JSON
+
+// Room passcodes
+const MAX_PASSCODE_LENGTH = protocol.MAX_PASSCODE_LENGTH;
+const MAX_PASSCODE_ATTEMPTS = 5; // Wrong attempts per connection before it's closed
+const MAX_KNOCK_NAME_LENGTH = protocol.MAX_KNOCK_NAME_LENGTH;
+
+// Room policies - 0 disables a limit
+function readIntEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+const MAX_ROOM_PARTICIPANTS = readIntEnv("MAX_ROOM_PARTICIPANTS", 6); // The client layout fits 6 people
+const MAX_CALL_DURATION = readIntEnv("MAX_CALL_DURATION", 0); // ms, counted from when the room was created
+const CALL_END_WARNING = readIntEnv("CALL_END_WARNING", 60000); // ms before the time limit to warn everyone
+const ROOM_IDLE_TIMEOUT = readIntEnv("ROOM_IDLE_TIMEOUT", 15 * 60 * 1000); // ms with one participant or no media
+const ROOM_IDLE_CHECK_INTERVAL = Math.max(1000, Math.min(30000, ROOM_IDLE_TIMEOUT / 2));
+
+// Rate limits (token buckets per remote address / per socket) - 0 disables a limit
+const TRUST_PROXY = process.env.TRUST_PROXY === "true"; // Behind a reverse proxy: take the address from X-Forwarded-For
+const UPGRADE_RATE_BURST = readIntEnv("UPGRADE_RATE_BURST", 20); // WebSocket connections per address at once
+const UPGRADE_RATE_PER_MINUTE = readIntEnv("UPGRADE_RATE_PER_MINUTE", 60); // ...refilled at this rate
+const MESSAGE_RATE_BURST = readIntEnv("MESSAGE_RATE_BURST", 200); // Messages per socket at once (ICE candidates come in bursts)
+const MESSAGE_RATE_PER_SECOND = readIntEnv("MESSAGE_RATE_PER_SECOND", 50); // ...refilled at this rate
+const MAX_ROOMS_PER_IP = readIntEnv("MAX_ROOMS_PER_IP", 10); // Rooms one address may hold open
+const RATE_BUCKET_PRUNE_INTERVAL = 60000;
+
+const rateLimitStats = {
+  upgradesRejected: 0, // WebSocket upgrades refused with HTTP 429
+  messagesRejected: 0, // Sockets closed with 4008 for sending too fast
+  roomsRejected: 0 // Sockets closed with 4009 for opening too many rooms
+};
+const upgradeBuckets = new Map(); // remote address -> token bucket
+
+const protocolStats = {
+  invalidMessages: 0 // Messages rejected by the protocol validation (unknown type, bad fields, too big)
+};
 
 // Validate room ID pattern (alphanumeric, 1-20 chars)
 const ROOM_ID_PATTERN = /^[a-z0-9]{1,20}$/i;
 
-wss.on("connection", (ws, req) => {
-  const parsedUrl = url.parse(req.url, true);
-  const roomId = parsedUrl.query.room;
+// Generate a peer id that is unique within the room
+function generatePeerId(roomId) {
+  const roomSessions = connections[roomId] || [];
+  let peerId;
+  do {
+    peerId = crypto.randomBytes(4).toString("hex");
+  } while (roomSessions.some((session) => session.peerId === peerId));
+  return peerId;
+}
 
-  // Validate room ID
-  if (!roomId || !ROOM_ID_PATTERN.test(roomId)) {
-    console.warn(`❌ Invalid room ID: ${roomId}`);
-    ws.close(1008, "Invalid room ID");
+function isSessionConnected(session) {
+  return session.ws !== null && session.ws.readyState === 1;
+}
+
+// Send a message to a participant - returns false if they're not connected right now
+function sendToSession(session, message) {
+  if (!isSessionConnected(session)) return false;
+  try {
+    sendPacked(session.ws, message);
+    return true;
+  } catch (err) {
+    console.error("❌ Error sending message to client:", err);
+    return false;
+  }
+}
+
+// ====== Signaling transport ======
+// Large messages (offers with many codecs, simulcast, non-trickled candidates) would exceed the
+// per-frame limit, so they travel compressed and split into "packed" frames (see public/protocol.js)
+
+// The frames (JSON text) a message travels in with the given encoding, or null if it doesn't fit into
+// MAX_CHUNKS frames - the limit is on UTF-8 bytes, so non-ASCII text may not fit although it's within
+// the character limits of protocol.js
+function packMessage(message, encoding) {
+  const text = JSON.stringify(message); // ✅ always send as string
+  if (text.length <= protocol.PACK_THRESHOLD) {
+    return [text];
+  }
+  const bytes = Buffer.from(text);
+  const data = (encoding === "deflate-raw" ? zlib.deflateRawSync(bytes) : bytes).toString("base64");
+  const frames = protocol.splitPacked(crypto.randomBytes(4).toString("hex"), encoding, data);
+  return frames ? frames.map((frame) => JSON.stringify(frame)) : null;
+}
+
+// Whether a message can be sent to any client - whichever encoding it asks for, now or after a reconnect
+function isPackable(message) {
+  return protocol.PACK_ENCODINGS.every((encoding) => packMessage(message, encoding) !== null);
+}
+
+function sendPacked(ws, message) {
+  // Clients that can't decompress (no DecompressionStream) asked for uncompressed frames
+  const frames = packMessage(message, ws.packEncoding);
+  if (!frames) {
+    throw new Error(`${message.type} is too large to send`);
+  }
+  frames.forEach((frame) => ws.send(frame));
+}
+
+// Collect one frame of a packed message - returns the whole message once the last frame is in,
+// null while frames are missing or if the message is broken
+// The per-frame size limit and rate limit still apply to every frame, and the reassembled message
+// is bounded by MAX_UNPACKED_LENGTH (also after decompression)
+function receivePackedFrame(ws, frame) {
+  if (!ws.unpacker) {
+    ws.unpacker = protocol.createUnpacker();
+  }
+  const result = ws.unpacker.add(frame);
+  if (result.error) {
+    protocolStats.invalidMessages++;
+    console.warn(`❌ Broken packed message from room ${ws.roomId}: ${result.error}`);
+    return null;
+  }
+  if (!result.done) return null;
+
+  let parsed;
+  try {
+    const bytes = Buffer.from(result.data, "base64");
+    const text = (result.encoding === "deflate-raw"
+      ? zlib.inflateRawSync(bytes, { maxOutputLength: protocol.MAX_UNPACKED_LENGTH })
+      : bytes).toString();
+    if (text.length > protocol.MAX_UNPACKED_LENGTH) {
+      throw new Error(`too large (${text.length} characters)`);
+    }
+    parsed = JSON.parse(text);
+  } catch (err) {
+    protocolStats.invalidMessages++;
+    console.warn(`❌ Could not unpack message from room ${ws.roomId}: ${err.message}`);
+    return null;
+  }
+
+  // Packed frames can't be nested
+  const validation = protocol.validateClientMessage(parsed);
+  if (!validation.ok || validation.message.type === "packed") {
+    protocolStats.invalidMessages++;
+    console.warn(`❌ Invalid packed message from room ${ws.roomId}: ${validation.error || "nested packed frame"}`);
+    return null;
+  }
+  return validation.message;
+}
+
+// ====== Signaling mailbox ======
+// Every signal to a participant goes through their mailbox: it gets the next sequence number and stays
+// there until the client acknowledges it, so signals survive a dropped socket and are replayed on resume.
+// Signals of a superseded negotiation (older generation of the sender's peer connection) are discarded.
+
+function createMailbox() {
+  return {
+    nextSeq: 1,
+    pending: [], // { seq, from, generation, message, length } in seq order, not acknowledged yet
+    length: 0, // total length of the pending messages
+    generations: new Map() // sender peer id -> newest generation seen
+  };
+}
+
+function setMailboxPending(mailbox, pending) {
+  mailbox.pending = pending;
+  mailbox.length = pending.reduce((total, item) => total + item.length, 0);
+}
+
+// Drop pending signals from a sender that are older than the given generation
+function discardMailboxSignals(session, fromPeerId, beforeGeneration) {
+  const mailbox = session.mailbox;
+  setMailboxPending(mailbox, mailbox.pending.filter((item) => item.from !== fromPeerId || item.generation >= beforeGeneration));
+  if (beforeGeneration === Infinity) {
+    mailbox.generations.delete(fromPeerId);
+  }
+}
+
+// Queue a signal for a participant and send it right away if they're connected
+// Returns false if the signal was discarded as stale or too large to send
+function deliverSignal(session, signal) {
+  const mailbox = session.mailbox;
+  const newestGeneration = mailbox.generations.get(signal.from) || 0;
+  if (signal.generation < newestGeneration) {
+    console.warn(`🗑️ Discarding ${signal.type} from ${signal.from} - generation ${signal.generation} was superseded by ${newestGeneration}`);
+    return false;
+  }
+  if (signal.generation > newestGeneration) {
+    mailbox.generations.set(signal.from, signal.generation);
+    discardMailboxSignals(session, signal.from, signal.generation);
+  }
+
+  // Too large once encoded - it would stay in the mailbox and fail on every replay
+  const message = { ...signal, seq: mailbox.nextSeq };
+  if (!isPackable(message)) {
+    protocolStats.invalidMessages++;
+    console.warn(`❌ Discarding ${signal.type} from ${signal.from} - too large to send`);
+    return false;
+  }
+  mailbox.nextSeq++;
+  const length = JSON.stringify(message).length;
+  mailbox.pending.push({ seq: message.seq, from: signal.from, generation: signal.generation, message, length });
+  mailbox.length += length;
+  while (mailbox.pending.length > 1 && (mailbox.pending.length > MAX_MAILBOX_SIZE || mailbox.length > MAX_MAILBOX_BYTES)) {
+    const dropped = mailbox.pending.shift();
+    mailbox.length -= dropped.length;
+    console.warn(`⚠️ Mailbox of ${session.peerId} is full - dropping ${dropped.message.type} #${dropped.seq}`);
+  }
+  if (!isSessionConnected(session)) {
+    console.log(`📬 ${session.peerId} is reconnecting - keeping ${message.type} #${message.seq} for replay`);
+  } else if (!sendToSession(session, message)) {
+    console.warn(`📬 Could not send ${message.type} #${message.seq} to ${session.peerId} - keeping it for replay`);
+  }
+  return true;
+}
+
+// The client got everything up to seq
+function acknowledgeSignals(session, seq) {
+  const mailbox = session.mailbox;
+  setMailboxPending(mailbox, mailbox.pending.filter((item) => item.seq > seq));
+}
+
+function replayMailbox(session) {
+  const pending = session.mailbox.pending;
+  if (pending.length === 0) return;
+  console.log(`📬 Replaying ${pending.length} unacknowledged signals to ${session.peerId}`);
+  pending.forEach((item) => sendToSession(session, item.message));
+}
+
+// Send the current member list to a participant
+// Each client gets its own peer id, role and session token, so it knows whom to call and who calls it
+function sendRoomInfo(session, extra = {}) {
+  const roomSessions = connections[session.roomId] || [];
+  const hostSession = hosts[session.roomId];
+  sendToSession(session, {
+    type: "room-info",
+    roomId: session.roomId,
+    peerId: session.peerId,
+    token: session.token, // Present it on reconnect to get the same seat back
+    hostId: hostSession ? hostSession.peerId : null,
+    isFirst: hostSession === session,
+    hasPasscode: !!roomPasscodes[session.roomId],
+    lobby: !!roomLobbies[session.roomId],
+    callEndsIn: getCallEndsIn(session.roomId), // Only once the end-of-call warning has gone out
+    totalClients: roomSessions.length,
+    members: roomSessions.map((s) => s.peerId), // Peer ids in join order, including reconnecting ones
+    ...extra
+  });
+}
+
+function broadcastRoomInfo(roomId) {
+  (connections[roomId] || []).forEach((session) => sendRoomInfo(session));
+}
+
+// Send a message to everyone in the room except one participant
+function sendToOthers(session, message) {
+  (connections[session.roomId] || []).forEach((other) => {
+    if (other !== session) {
+      sendToSession(other, message);
+    }
+  });
+}
+
+// Free a participant's seat for good - reason is "hung-up", "network-lost" (didn't come back within
+// the grace period) or "kicked" (removed by the host)
+function removeSession(session, reason) {
+  const roomId = session.roomId;
+  if (session.graceTimer) {
+    clearTimeout(session.graceTimer);
+    session.graceTimer = null;
+  }
+  sessions.delete(session.token);
+  if (!connections[roomId] || !connections[roomId].includes(session)) return;
+
+  const wasHost = hosts[roomId] === session;
+  connections[roomId] = connections[roomId].filter((s) => s !== session);
+  // Nobody needs the signals of someone who's gone
+  connections[roomId].forEach((other) => discardMailboxSignals(other, session.peerId, Infinity));
+
+  if (connections[roomId].length === 0) {
+    delete connections[roomId];
+    delete hosts[roomId]; // Clean up host tracking when room is empty
+    delete roomPasscodes[roomId];
+    closeLobby(roomId);
+    clearRoomState(roomId);
+  } else {
+    // If the host left, the first remaining participant becomes host
+    if (wasHost) {
+      hosts[roomId] = connections[roomId][0];
+      console.log(`👑 Host reassigned for room "${roomId}" (original host left)`);
+      // The new host decides about whoever is still waiting
+      sendPendingKnocks(roomId);
+    }
+    // Tell the others right away why the peer is gone, so they don't keep showing a frozen frame,
+    // then let them drop their connection to it
+    connections[roomId].forEach((other) => sendToSession(other, { type: "peer-left", peerId: session.peerId, reason }));
+    broadcastRoomInfo(roomId);
+  }
+  console.log(`❌ Client ${session.peerId} left room "${roomId}" (${reason})`);
+}
+
+// A participant's socket is gone (on close or when evicted by the heartbeat)
+// Safe to call more than once for the same socket
+function handleDisconnect(ws, code) {
+  // Someone waiting in the lobby gave up
+  if (ws.knockId) {
+    removeKnock(ws);
+  }
+
+  const session = ws.session;
+  // Nothing to do if the socket never joined or was already replaced by a reconnect
+  if (!session || session.ws !== ws) return;
+  session.ws = null;
+
+  // An explicit hang-up frees the seat right away
+  if (code === 1000) {
+    removeSession(session, "hung-up");
     return;
   }
 
+  // Otherwise keep the seat (peer id, role) so the participant can resume with its token
+  // Other members keep their peer connection - media often survives a signaling drop
+  console.log(`⏳ Client ${session.peerId} disconnected from room "${session.roomId}" - keeping seat for ${SESSION_GRACE_PERIOD}ms`);
+  sendToOthers(session, { type: "peer-reconnecting", peerId: session.peerId });
+  session.graceTimer = setTimeout(() => {
+    session.graceTimer = null;
+    console.log(`⌛ Grace period expired for ${session.peerId} in room "${session.roomId}"`);
+    removeSession(session, "network-lost");
+  }, SESSION_GRACE_PERIOD);
+}
+
+// Give a socket its seat back (reconnect with a session token)
+function resumeSession(ws, session) {
+  // The others were told this participant is reconnecting
+  const wasReconnecting = session.graceTimer !== null;
+  if (session.graceTimer) {
+    clearTimeout(session.graceTimer);
+    session.graceTimer = null;
+  }
+  // The old socket may still look open if its network died silently
+  const oldWs = session.ws;
+  session.ws = ws;
+  if (oldWs && oldWs !== ws) {
+    oldWs.session = null;
+    oldWs.replaced = true;
+    oldWs.close(4000, "Replaced by new connection");
+  }
+  ws.session = session;
+  session.ip = ws.ip;
+  console.log(`🔁 Client ${session.peerId} resumed session in room "${session.roomId}"`);
+  sendRoomInfo(session, { resumed: true });
+  if (wasReconnecting) {
+    sendToOthers(session, { type: "peer-reconnected", peerId: session.peerId });
+  }
+  // Signals that arrived while we were away, or were sent but never acknowledged
+  replayMailbox(session);
+  // Knocks that arrived while the host was away
+  if (hosts[session.roomId] === session) {
+    sendPendingKnocks(session.roomId);
+  }
+}
+
+// Add a socket to the room as a new participant
+function joinRoom(ws, roomId) {
+  if (isRoomFull(roomId)) {
+    rejectRoomFull(ws, roomId);
+    return;
+  }
+  const isFirst = !connections[roomId] || connections[roomId].length === 0;
+  // Opening a new room counts against the address's room limit
+  if (isFirst && MAX_ROOMS_PER_IP > 0 && countRoomsHeldBy(ws.ip) >= MAX_ROOMS_PER_IP) {
+    rateLimitStats.roomsRejected++;
+    console.warn(`🚫 ${ws.ip} already holds ${MAX_ROOMS_PER_IP} rooms - not opening "${roomId}"`);
+    ws.close(4009, "Too many rooms");
+    return;
+  }
   if (!connections[roomId]) connections[roomId] = [];
-  const isFirst = connections[roomId].length === 0;
-  
+
+  // Every participant gets a peer id - signals are addressed to peer ids, not broadcast
+  const session = {
+    token: crypto.randomBytes(16).toString("hex"),
+    peerId: generatePeerId(roomId),
+    roomId: roomId,
+    ip: ws.ip,
+    ws: ws,
+    graceTimer: null,
+    mailbox: createMailbox()
+  };
+  sessions.set(session.token, session);
+  ws.session = session;
+
   // Track the first client (host) for this room
   if (isFirst) {
-    hosts[roomId] = ws;
+    hosts[roomId] = session;
     console.log(`👑 Host assigned for room "${roomId}"`);
+    createRoomState(roomId);
   }
-  
-  connections[roomId].push(ws);
+  // Give the newcomer time to get media going before the room counts as idle
+  roomStates[roomId].lastActiveAt = Date.now();
+
+  connections[roomId].push(session);
 
-  console.log(`👥 Client joined room "${roomId}" (${connections[roomId].length} total)`);
+  console.log(`👥 Client ${session.peerId} joined room "${roomId}" (${connections[roomId].length} total)`);
 
   // Increment counter when second person joins (call is established)
   if (connections[roomId].length === 2) {
@@ -198,72 +665,622 @@ wss.on("connection", (ws, req) => {
     console.log(`📈 Call count incremented: ${callCount}`);
   }
 
-  // Send room info to ALL clients in the room (notify them of the new connection)
-  const roomClients = connections[roomId];
-  const roomInfo = {
-    type: "room-info",
-    roomId: roomId,
-    isFirst: isFirst,
-    totalClients: roomClients.length
+  // Send room info to ALL clients in the room (the newcomer and existing clients, who will call the newcomer)
+  if (connections[roomId].length > 1) {
+    console.log(`📢 Notifying ${connections[roomId].length - 1} existing clients about new connection`);
+  }
+  broadcastRoomInfo(roomId);
+}
+
+// ====== Room policies (capacity, call duration, idle rooms) ======
+
+// Seats of reconnecting participants count too - they're coming back
+function isRoomFull(roomId) {
+  return MAX_ROOM_PARTICIPANTS > 0 && (connections[roomId] || []).length >= MAX_ROOM_PARTICIPANTS;
+}
+
+function rejectRoomFull(ws, roomId) {
+  console.warn(`🈵 Room "${roomId}" is full (${MAX_ROOM_PARTICIPANTS} participants) - turning a newcomer away`);
+  ws.send(JSON.stringify({ type: "room-full", maxParticipants: MAX_ROOM_PARTICIPANTS }));
+  ws.close(4004, "Room is full");
+}
+
+function createRoomState(roomId) {
+  const now = Date.now();
+  const state = { createdAt: now, lastActiveAt: now, warned: false, warningTimer: null, endTimer: null };
+  roomStates[roomId] = state;
+  if (MAX_CALL_DURATION <= 0) return;
+
+  state.warningTimer = setTimeout(() => {
+    state.warningTimer = null;
+    state.warned = true;
+    const remaining = getCallEndsIn(roomId);
+    console.log(`⏰ Room "${roomId}" reaches its time limit in ${remaining}ms - warning participants`);
+    (connections[roomId] || []).forEach((session) => sendToSession(session, { type: "call-ending", remaining }));
+  }, Math.max(0, MAX_CALL_DURATION - CALL_END_WARNING));
+  state.endTimer = setTimeout(() => {
+    state.endTimer = null;
+    closeRoom(roomId, 4005, "Call time limit reached");
+  }, MAX_CALL_DURATION);
+}
+
+function clearRoomState(roomId) {
+  const state = roomStates[roomId];
+  if (!state) return;
+  clearTimeout(state.warningTimer);
+  clearTimeout(state.endTimer);
+  delete roomStates[roomId];
+}
+
+// Time left before the room is closed, or null if there's no limit or nobody was warned yet
+function getCallEndsIn(roomId) {
+  const state = roomStates[roomId];
+  if (!state || !state.warned) return null;
+  return Math.max(0, state.createdAt + MAX_CALL_DURATION - Date.now());
+}
+
+// A room is active while at least two people are in it and someone reports incoming media
+function isRoomActive(roomId) {
+  const roomSessions = connections[roomId] || [];
+  return roomSessions.length >= 2 && roomSessions.some((session) => isSessionConnected(session) && session.mediaFlowing);
+}
+
+// Participant reports whether it's receiving any media (sent on change)
+function setMediaFlowing(session, flowing) {
+  session.mediaFlowing = flowing;
+  if (flowing && isRoomActive(session.roomId)) {
+    roomStates[session.roomId].lastActiveAt = Date.now();
+  }
+}
+
+// Close the room for everyone - nobody gets a grace period, the seats are gone
+function closeRoom(roomId, code, reason) {
+  const roomSessions = connections[roomId];
+  if (!roomSessions) return;
+  console.log(`🚪 Closing room "${roomId}": ${reason}`);
+
+  roomSessions.forEach((session) => {
+    if (session.graceTimer) {
+      clearTimeout(session.graceTimer);
+      session.graceTimer = null;
+    }
+    sessions.delete(session.token);
+    if (session.ws) {
+      // Detach first so the close event doesn't start a grace period
+      const sessionWs = session.ws;
+      session.ws = null;
+      sessionWs.session = null;
+      sessionWs.close(code, reason);
+    }
+  });
+
+  delete connections[roomId];
+  delete hosts[roomId];
+  delete roomPasscodes[roomId];
+  closeLobby(roomId);
+  clearRoomState(roomId);
+}
+
+// Sweep rooms nobody is really using - a forgotten tab would otherwise keep a room alive forever
+function closeIdleRooms() {
+  if (ROOM_IDLE_TIMEOUT <= 0) return;
+  const now = Date.now();
+  Object.keys(roomStates).forEach((roomId) => {
+    const state = roomStates[roomId];
+    if (isRoomActive(roomId)) {
+      state.lastActiveAt = now;
+    } else if (now - state.lastActiveAt > ROOM_IDLE_TIMEOUT) {
+      closeRoom(roomId, 4006, "Room idle");
+    }
+  });
+}
+
+// ====== Rate limiting ======
+
+function getClientIp(req) {
+  if (TRUST_PROXY) {
+    // The last entry is the one our own proxy added - earlier ones can be forged by the client
+    const forwarded = (req.headers["x-forwarded-for"] || "").split(",").map((item) => item.trim()).filter(Boolean);
+    if (forwarded.length > 0) {
+      return forwarded[forwarded.length - 1];
+    }
+  }
+  return req.socket.remoteAddress || "unknown";
+}
+
+// Token bucket: holds up to `capacity` tokens, refilled continuously at `refillPerSecond`
+function createTokenBucket(capacity, refillPerSecond) {
+  return { capacity, refillPerSecond, tokens: capacity, updatedAt: Date.now() };
+}
+
+function refillTokenBucket(bucket) {
+  const now = Date.now();
+  bucket.tokens = Math.min(bucket.capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * bucket.refillPerSecond);
+  bucket.updatedAt = now;
+}
+
+// Returns false if the bucket is empty (rate exceeded) - a null bucket means no limit
+function takeToken(bucket) {
+  if (!bucket) return true;
+  refillTokenBucket(bucket);
+  if (bucket.tokens < 1) return false;
+  bucket.tokens--;
+  return true;
+}
+
+function getUpgradeBucket(ip) {
+  if (UPGRADE_RATE_BURST <= 0) return null;
+  let bucket = upgradeBuckets.get(ip);
+  if (!bucket) {
+    bucket = createTokenBucket(UPGRADE_RATE_BURST, UPGRADE_RATE_PER_MINUTE / 60);
+    upgradeBuckets.set(ip, bucket);
+  }
+  return bucket;
+}
+
+// Full buckets carry no state - forget them so the map doesn't grow forever
+function pruneUpgradeBuckets() {
+  upgradeBuckets.forEach((bucket, ip) => {
+    refillTokenBucket(bucket);
+    if (bucket.tokens >= bucket.capacity) {
+      upgradeBuckets.delete(ip);
+    }
+  });
+}
+
+// Rooms in which this address has a participant
+function countRoomsHeldBy(ip) {
+  const roomIds = new Set();
+  sessions.forEach((session) => {
+    if (session.ip === ip) {
+      roomIds.add(session.roomId);
+    }
+  });
+  return roomIds.size;
+}
+
+// Host removes a participant from the call - their seat and token are gone, so they can't resume
+function kickParticipant(session, peerId) {
+  const roomId = session.roomId;
+  if (hosts[roomId] !== session) {
+    console.warn(`❌ Non-host ${session.peerId} tried to remove ${peerId} from room "${roomId}"`);
+    return;
+  }
+  const target = (connections[roomId] || []).find((s) => s.peerId === peerId);
+  if (!target || target === session) return;
+
+  console.log(`🥾 Host removed ${peerId} from room "${roomId}"`);
+  if (target.ws) {
+    // Detach first so the close doesn't start a grace period
+    const targetWs = target.ws;
+    target.ws = null;
+    targetWs.session = null;
+    targetWs.close(4007, "Removed by host");
+  }
+  removeSession(target, "kicked");
+}
+
+// ====== Room passcodes ======
+// Only a salted scrypt hash is kept, and only while the room exists
+
+function isValidPasscode(passcode) {
+  return typeof passcode === "string" && passcode.length >= 1 && passcode.length <= MAX_PASSCODE_LENGTH;
+}
+
+function setRoomPasscode(session, passcode) {
+  const roomId = session.roomId;
+  if (hosts[roomId] !== session) {
+    console.warn(`❌ Non-host ${session.peerId} tried to set a passcode for room "${roomId}"`);
+    sendToSession(session, { type: "passcode-set", ok: false, error: "not-host" });
+    return;
+  }
+  if (roomPasscodes[roomId]) {
+    sendToSession(session, { type: "passcode-set", ok: false, error: "already-set" });
+    return;
+  }
+  if (!isValidPasscode(passcode)) {
+    sendToSession(session, { type: "passcode-set", ok: false, error: "invalid" });
+    return;
+  }
+
+  const salt = crypto.randomBytes(16);
+  crypto.scrypt(passcode, salt, 32, (err, hash) => {
+    if (err) {
+      console.error("❌ Error hashing passcode:", err);
+      sendToSession(session, { type: "passcode-set", ok: false, error: "internal" });
+      return;
+    }
+    // The room may have emptied while hashing
+    if (!connections[roomId]) return;
+    roomPasscodes[roomId] = { salt, hash };
+    console.log(`🔒 Passcode set for room "${roomId}"`);
+    sendToSession(session, { type: "passcode-set", ok: true });
+    broadcastRoomInfo(roomId);
+  });
+}
+
+function checkPasscode(ws, roomId, passcode) {
+  if (ws.checkingPasscode) return;
+
+  const stored = roomPasscodes[roomId];
+  if (!stored) {
+    // Everyone left and the room (with its passcode) is gone - this is a new room now
+    enterRoom(ws, roomId);
+    return;
+  }
+
+  const reject = () => {
+    ws.passcodeAttempts++;
+    const attemptsLeft = MAX_PASSCODE_ATTEMPTS - ws.passcodeAttempts;
+    console.warn(`❌ Wrong passcode for room "${roomId}" (${attemptsLeft} attempts left)`);
+    if (attemptsLeft <= 0) {
+      ws.close(4001, "Too many wrong passcodes");
+      return;
+    }
+    ws.send(JSON.stringify({ type: "passcode-required", error: "wrong-passcode", attemptsLeft }));
   };
-  
-  // Send to the new client
-  ws.send(JSON.stringify(roomInfo));
-  
-  // Also notify existing clients that a new client joined (for reconnection handling)
-  if (roomClients.length > 1) {
-    console.log(`📢 Notifying ${roomClients.length - 1} existing clients about new connection`);
-    const hostWs = hosts[roomId]; // Get the host WebSocket for this room
-    roomClients.forEach(client => {
-      if (client !== ws && client.readyState === 1) {
-        try {
-          // Check if this client is the host - preserve their role
-          const isClientHost = (hostWs === client);
-          client.send(JSON.stringify({
-            type: "room-info",
-            roomId: roomId,
-            isFirst: isClientHost, // Preserve host role - host stays host, others stay clients
-            totalClients: roomClients.length,
-            newClientJoined: true // Flag to indicate a new client just joined
-          }));
-          console.log(`📤 Notified ${isClientHost ? 'host' : 'client'} about new connection`);
-        } catch (err) {
-          console.error("❌ Error notifying existing client:", err);
-        }
+
+  if (!isValidPasscode(passcode)) {
+    reject();
+    return;
+  }
+
+  ws.checkingPasscode = true;
+  crypto.scrypt(passcode, stored.salt, 32, (err, hash) => {
+    ws.checkingPasscode = false;
+    if (ws.readyState !== 1) return;
+    if (err) {
+      console.error("❌ Error checking passcode:", err);
+      reject();
+      return;
+    }
+    // The room may have been recreated with another passcode while hashing
+    const current = roomPasscodes[roomId];
+    if (!current) {
+      enterRoom(ws, roomId);
+    } else if (current === stored && crypto.timingSafeEqual(hash, stored.hash)) {
+      console.log(`🔓 Correct passcode for room "${roomId}"`);
+      ws.passcodeAccepted = true;
+      enterRoom(ws, roomId);
+    } else {
+      reject();
+    }
+  });
+}
+
+// ====== Lobby (knock to join) ======
+// With the lobby enabled, newcomers wait outside until the host admits them.
+// They're not in the room, so they receive no signaling at all.
+
+// Let a socket in, or make it wait in the lobby
+function enterRoom(ws, roomId) {
+  if (roomLobbies[roomId]) {
+    ws.inLobby = true;
+    ws.passcodeAttempts = 0; // Every parked socket starts with a full set of passcode attempts
+    console.log(`🚪 Newcomer waiting in the lobby of room "${roomId}"`);
+    ws.send(JSON.stringify({ type: "lobby-waiting" }));
+    return;
+  }
+  joinRoom(ws, roomId);
+}
+
+function sendKnock(roomId, ws) {
+  const hostSession = hosts[roomId];
+  if (hostSession) {
+    sendToSession(hostSession, { type: "knock", knockId: ws.knockId, name: ws.knockName });
+  }
+}
+
+// Send every pending knock to the (new or reconnected) host
+function sendPendingKnocks(roomId) {
+  const lobby = roomLobbies[roomId];
+  if (!lobby) return;
+  lobby.forEach((knockWs) => sendKnock(roomId, knockWs));
+}
+
+function knock(ws, roomId, name) {
+  const lobby = roomLobbies[roomId];
+  if (!lobby) {
+    // The host turned the lobby off in the meantime
+    ws.inLobby = false;
+    joinRoom(ws, roomId);
+    return;
+  }
+  if (ws.knockId) return; // Already knocking
+
+  ws.knockId = crypto.randomBytes(4).toString("hex");
+  ws.knockName = typeof name === "string" && name.trim() ? name.trim().slice(0, MAX_KNOCK_NAME_LENGTH) : "Guest";
+  lobby.set(ws.knockId, ws);
+  console.log(`✊ "${ws.knockName}" knocks on room "${roomId}" (${lobby.size} waiting)`);
+  sendKnock(roomId, ws);
+}
+
+function removeKnock(ws) {
+  const roomId = ws.roomId;
+  const lobby = roomLobbies[roomId];
+  if (lobby && lobby.get(ws.knockId) === ws) {
+    lobby.delete(ws.knockId);
+    const hostSession = hosts[roomId];
+    if (hostSession) {
+      sendToSession(hostSession, { type: "knock-cancelled", knockId: ws.knockId });
+    }
+  }
+  ws.knockId = null;
+}
+
+function answerKnock(session, knockId, admit) {
+  const roomId = session.roomId;
+  if (hosts[roomId] !== session) {
+    console.warn(`❌ Non-host ${session.peerId} tried to answer a knock in room "${roomId}"`);
+    return;
+  }
+  const lobby = roomLobbies[roomId];
+  const knockWs = lobby ? lobby.get(knockId) : undefined;
+  if (!knockWs) return;
+
+  lobby.delete(knockId);
+  knockWs.knockId = null;
+  knockWs.inLobby = false;
+  if (knockWs.readyState !== 1) return;
+
+  if (admit) {
+    console.log(`✅ Host admitted "${knockWs.knockName}" to room "${roomId}"`);
+    joinRoom(knockWs, roomId);
+  } else {
+    console.log(`🚫 Host denied "${knockWs.knockName}" in room "${roomId}"`);
+    knockWs.close(4002, "Denied by host");
+  }
+}
+
+function setRoomLobby(session, enabled) {
+  const roomId = session.roomId;
+  if (hosts[roomId] !== session) {
+    console.warn(`❌ Non-host ${session.peerId} tried to change the lobby of room "${roomId}"`);
+    return;
+  }
+  if (enabled && !roomLobbies[roomId]) {
+    roomLobbies[roomId] = new Map();
+    console.log(`🚪 Lobby enabled for room "${roomId}"`);
+  } else if (!enabled && roomLobbies[roomId]) {
+    // Everyone who was waiting gets in
+    const waiting = [...roomLobbies[roomId].values()];
+    delete roomLobbies[roomId];
+    console.log(`🚪 Lobby disabled for room "${roomId}" - admitting ${waiting.length} waiting`);
+    waiting.forEach((knockWs) => {
+      knockWs.knockId = null;
+      knockWs.inLobby = false;
+      if (knockWs.readyState === 1) {
+        joinRoom(knockWs, roomId);
+      }
+    });
+  }
+  broadcastRoomInfo(roomId);
+}
+
+// The room is gone - nobody is left to admit the people waiting outside
+function closeLobby(roomId) {
+  const lobby = roomLobbies[roomId];
+  if (!lobby) return;
+  delete roomLobbies[roomId];
+  lobby.forEach((knockWs) => {
+    knockWs.knockId = null;
+    knockWs.close(4003, "Call ended");
+  });
+}
+
+// ====== HTTP long-polling transport ======
+// Fallback for networks that block WebSocket upgrades (some corporate proxies): the client opens a
+// session with POST /poll, fetches our messages with long-polling GET /poll/:id and sends its own
+// with POST /poll/:id. A PollSocket looks like a WebSocket to the rest of the server (send, close,
+// readyState, "message"/"close" events), so rooms, signaling and limits are the same on both transports
+const POLL_TIMEOUT = readIntEnv("POLL_TIMEOUT", 25000); // ms a GET is held open - below common proxy timeouts
+const MAX_POLL_BATCH = 50; // Messages per POST (the client batches what it sends while a POST is in flight)
+const pollSockets = new Map(); // poll id -> PollSocket
+
+class PollSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.id = crypto.randomBytes(16).toString("hex"); // Only the client that opened the session knows it
+    this.readyState = 1; // Same values as WebSocket: 1 open, 3 closed
+    this.outbox = []; // Messages waiting for the next GET
+    this.closeFrame = null; // { code, reason } once closed - delivered with the last GET
+    this.pendingResponse = null; // The GET being held open
+    this.pendingTimer = null;
+  }
+
+  send(text) {
+    if (this.readyState !== 1) return;
+    this.outbox.push(String(text));
+    this.flush();
+  }
+
+  close(code = 1000, reason = "") {
+    if (this.readyState !== 1) return;
+    this.readyState = 3;
+    this.closeFrame = { code, reason };
+    this.flush();
+    this.emit("close", code);
+  }
+
+  // The client is gone without a word (heartbeat eviction)
+  terminate() {
+    this.close(1006, "");
+    pollSockets.delete(this.id);
+  }
+
+  // Liveness comes from the client's requests (see lastSeen) - there is no ping frame
+  ping() {}
+
+  // Messages the client POSTed, in order
+  receive(messages) {
+    messages.forEach((text) => {
+      if (this.readyState === 1) {
+        this.emit("message", text);
+      }
+    });
+  }
+
+  // Hold a GET until there's something to deliver or POLL_TIMEOUT passes
+  poll(res) {
+    this.respond({ messages: [] }); // A newer GET replaces the previous one
+    this.pendingResponse = res;
+    this.pendingTimer = setTimeout(() => this.respond({ messages: [] }), POLL_TIMEOUT);
+    res.on("close", () => {
+      if (this.pendingResponse === res) {
+        clearTimeout(this.pendingTimer);
+        this.pendingResponse = null;
       }
     });
+    this.flush();
   }
 
-  // If this room already has stored signal — send it to the newcomer
-  if (lastSignals[roomId]) {
-    console.log(`📤 Sending stored signal (${lastSignals[roomId].type}) to new peer in room ${roomId}`);
-    ws.send(JSON.stringify(lastSignals[roomId]));
-    
-    // Also send any stored ICE candidates from the host (for late-joining clients)
-    // This fixes the race condition where host sends candidates before client joins
-    if (recentCandidates[roomId] && recentCandidates[roomId].length > 0) {
-      console.log(`📤 Sending ${recentCandidates[roomId].length} stored candidates to new client in room ${roomId}`);
-      // Send candidates with a small delay to ensure offer is processed first
-      setTimeout(() => {
-        recentCandidates[roomId].forEach((candidate, index) => {
-          try {
-            ws.send(JSON.stringify(candidate));
-            console.log(`📤 Sent stored candidate ${index + 1}/${recentCandidates[roomId].length} to new client`);
-          } catch (err) {
-            console.error(`❌ Error sending stored candidate:`, err);
-          }
-        });
-      }, 100); // Small delay to ensure offer is processed first
+  flush() {
+    if (!this.pendingResponse || (this.outbox.length === 0 && !this.closeFrame)) return;
+    const body = { messages: this.outbox.splice(0) };
+    if (this.closeFrame) {
+      body.close = this.closeFrame;
+      // The client knows now - forget the session
+      pollSockets.delete(this.id);
+    }
+    this.respond(body);
+  }
+
+  respond(body) {
+    const res = this.pendingResponse;
+    if (!res) return;
+    clearTimeout(this.pendingTimer);
+    this.pendingResponse = null;
+    this.pendingTimer = null;
+    res.setHeader("Cache-Control", "no-store");
+    res.json(body);
+  }
+}
+
+const pollBody = express.text({ type: "*/*", limit: "1mb" });
+
+// Open a session - same query as the WebSocket URL (room, token, packing), same rate limit as upgrades
+app.post("/poll", (req, res) => {
+  const ip = getClientIp(req);
+  if (!takeToken(getUpgradeBucket(ip))) {
+    rateLimitStats.upgradesRejected++;
+    console.warn(`🚫 Too many connection attempts from ${ip}`);
+    res.status(429).send("Too Many Requests");
+    return;
+  }
+  const socket = new PollSocket();
+  pollSockets.set(socket.id, socket);
+  console.log(`📮 HTTP polling session opened from ${ip}`);
+  handleConnection(socket, req);
+  // Whatever handleConnection sent (room-info, passcode-required, a close...) waits for the first GET
+  res.setHeader("Cache-Control", "no-store");
+  res.json({ id: socket.id, timeout: POLL_TIMEOUT });
+});
+
+app.get("/poll/:id", (req, res) => {
+  const socket = pollSockets.get(req.params.id);
+  if (!socket) {
+    res.status(404).json({ close: { code: 1006, reason: "Unknown session" } });
+    return;
+  }
+  socket.lastSeen = Date.now();
+  socket.poll(res);
+});
+
+// Body: { messages: [text, ...], close?: code } - sent with fetch, or with sendBeacon when the client closes
+app.post("/poll/:id", pollBody, (req, res) => {
+  const socket = pollSockets.get(req.params.id);
+  if (!socket || socket.readyState !== 1) {
+    res.status(404).json({ error: "Unknown session" });
+    return;
+  }
+  let body;
+  try {
+    body = JSON.parse(req.body);
+  } catch (err) {
+    body = null;
+  }
+  const messages = body && Array.isArray(body.messages) ? body.messages : null;
+  if (!messages || messages.length > MAX_POLL_BATCH || !messages.every((text) => typeof text === "string")) {
+    protocolStats.invalidMessages++;
+    res.status(400).json({ error: "Invalid batch" });
+    return;
+  }
+  socket.lastSeen = Date.now();
+  socket.receive(messages);
+  // The client closed the session: 1000 = hung up (frees the seat), otherwise it keeps its seat for a while
+  if (Number.isInteger(body.close) && socket.readyState === 1) {
+    socket.close(body.close === 1000 ? 1000 : 1005, "Closed by client");
+    pollSockets.delete(socket.id);
+  }
+  res.status(204).end();
+});
+
+// A new WebSocket or HTTP polling session - the rest of the server doesn't tell them apart
+function handleConnection(ws, req) {
+  const parsedUrl = url.parse(req.url, true);
+  const roomId = parsedUrl.query.room;
+  const token = parsedUrl.query.token;
+
+  // Per-socket message budget (see MESSAGE_RATE_*)
+  ws.ip = getClientIp(req);
+  ws.packEncoding = parsedUrl.query.packing === "none" ? "none" : "deflate-raw";
+  ws.messageBucket = MESSAGE_RATE_BURST > 0 ? createTokenBucket(MESSAGE_RATE_BURST, MESSAGE_RATE_PER_SECOND) : null;
+
+  // Liveness tracking for the heartbeat - any pong or message counts
+  ws.lastSeen = Date.now();
+  ws.on("pong", () => {
+    ws.lastSeen = Date.now();
+  });
+
+  // Validate room ID
+  if (!roomId || !ROOM_ID_PATTERN.test(roomId)) {
+    console.warn(`❌ Invalid room ID: ${roomId}`);
+    ws.close(1008, "Invalid room ID");
+    return;
+  }
+  ws.roomId = roomId;
+
+  // Resume an existing seat if the client presents a valid session token for this room
+  // (the token proves the client was already admitted, so no passcode is asked)
+  const existing = typeof token === "string" ? sessions.get(token) : undefined;
+  if (existing && existing.roomId === roomId) {
+    resumeSession(ws, existing);
+  } else {
+    if (token) {
+      console.log(`⚠️ Unknown or expired session token for room "${roomId}" - joining as new participant`);
+    }
+    if (isRoomFull(roomId)) {
+      // Don't make people type a passcode or knock just to be turned away
+      rejectRoomFull(ws, roomId);
+    } else if (roomPasscodes[roomId]) {
+      // Park the socket until the right passcode arrives - it's not in the room and receives nothing
+      console.log(`🔒 Room "${roomId}" is protected - asking for passcode`);
+      ws.passcodeAttempts = 0;
+      ws.passcodeRequired = true; // Only challenged sockets may answer with a passcode
+      ws.send(JSON.stringify({ type: "passcode-required" }));
+    } else {
+      enterRoom(ws, roomId);
     }
   }
 
   ws.on("message", (msg) => {
+    ws.lastSeen = Date.now();
+    // Flooding (e.g. thousands of candidates) - the client reconnects and resumes its seat with the token
+    if (!takeToken(ws.messageBucket)) {
+      if (ws.readyState === 1) {
+        rateLimitStats.messagesRejected++;
+        console.warn(`🚫 ${ws.ip} is sending messages too fast - closing socket`);
+        ws.close(4008, "Rate limit exceeded");
+      }
+      return;
+    }
     try {
       // Always convert to string explicitly
       const messageText = Buffer.isBuffer(msg) ? msg.toString() : msg.toString();
       
       // Limit message size (prevent abuse)
-      if (messageText.length > 10000) {
+      if (messageText.length > protocol.MAX_MESSAGE_LENGTH) {
+        protocolStats.invalidMessages++;
         console.warn(`❌ Message too large from room ${roomId}: ${messageText.length} bytes`);
         ws.close(1009, "Message too large");
         return;
@@ -273,95 +1290,141 @@ wss.on("connection", (ws, req) => {
       try {
         parsed = JSON.parse(messageText);
       } catch (err) {
+        protocolStats.invalidMessages++;
         console.error("❌ Invalid JSON in message:", err);
         return;
       }
 
-      // Validate message structure
-      if (!parsed || typeof parsed !== "object") {
-        console.warn("❌ Invalid message structure");
+      // Only whitelisted message types with well-formed fields get through (see public/protocol.js)
+      // Messages with unknown fields are rejected as a whole, so nothing arbitrary ever reaches another browser
+      const validation = protocol.validateClientMessage(parsed);
+      if (!validation.ok) {
+        protocolStats.invalidMessages++;
+        console.warn(`❌ Invalid message from room ${roomId}: ${validation.error}`);
         return;
       }
+      parsed = validation.message;
 
-      // Only store offers (not answers) - answers are only for relaying
-      // When a client reconnects, they need the offer from the host, not their previous answer
-      if (parsed.type === "offer") {
-        lastSignals[roomId] = parsed;
-        // Clear old candidates when a new offer is generated
-        recentCandidates[roomId] = [];
-        console.log(`💾 Stored offer for room ${roomId}`);
+      // Large messages arrive in several frames - continue once the whole message is here
+      if (parsed.type === "packed") {
+        parsed = receivePackedFrame(ws, parsed);
+        if (!parsed) return;
       }
-      
-      // Store recent ICE candidates from the host (for late-joining clients)
-      // Only store candidates from the host (first client), not from clients
-      if (parsed.type === "candidate" && hosts[roomId] === ws) {
-        if (!recentCandidates[roomId]) {
-          recentCandidates[roomId] = [];
-        }
-        // Keep only the last 20 candidates to avoid memory issues
-        recentCandidates[roomId].push(parsed);
-        if (recentCandidates[roomId].length > 20) {
-          recentCandidates[roomId].shift(); // Remove oldest
+
+      // Client-side heartbeat - browsers can't see protocol-level pings, so they ping us in JSON
+      if (parsed.type === "ping") {
+        ws.send(JSON.stringify({ type: "pong" }));
+        return;
+      }
+
+      // Socket was replaced by a newer connection of the same participant
+      if (ws.replaced) {
+        return;
+      }
+
+      // Not admitted yet - the only things a parked socket may do are answering the passcode challenge
+      // and knocking on a room with a lobby
+      const session = ws.session;
+      if (!session) {
+        if (parsed.type === "passcode" && ws.passcodeRequired && !ws.passcodeAccepted) {
+          checkPasscode(ws, roomId, parsed.passcode);
+        } else if (parsed.type === "knock" && ws.inLobby) {
+          knock(ws, roomId, parsed.name);
         }
-        console.log(`💾 Stored candidate from host for room ${roomId} (${recentCandidates[roomId].length} total)`);
+        return;
+      }
+
+      // Host controls of the lobby
+      if (parsed.type === "set-lobby") {
+        setRoomLobby(session, parsed.enabled === true);
+        return;
+      }
+      if (parsed.type === "kick") {
+        kickParticipant(session, parsed.peerId);
+        return;
+      }
+      if (parsed.type === "admit" || parsed.type === "deny") {
+        answerKnock(session, parsed.knockId, parsed.type === "admit");
+        return;
+      }
+
+      // Client received its signals up to seq - they can leave the mailbox
+      if (parsed.type === "ack") {
+        acknowledgeSignals(session, parsed.seq);
+        return;
+      }
+
+      // Whether this participant receives media - used to close idle rooms
+      if (parsed.type === "media-state") {
+        setMediaFlowing(session, parsed.flowing === true);
+        return;
       }
-      
-      // Answers are relayed but not stored - they're only valid for the current connection
 
-      // Relay to other peers
-      const roomClients = connections[roomId];
-      if (!roomClients) {
+      // Host protects the room with a passcode (only once, before sharing the link)
+      if (parsed.type === "set-passcode") {
+        setRoomPasscode(session, parsed.passcode);
+        return;
+      }
+
+      const roomSessions = connections[roomId];
+      if (!roomSessions) {
         console.warn(`❌ Room ${roomId} no longer exists`);
         return;
       }
 
-      for (const client of roomClients) {
-        if (client !== ws && client.readyState === 1) {
-          try {
-            client.send(JSON.stringify(parsed)); // ✅ always send as string
-          } catch (err) {
-            console.error("❌ Error sending message to client:", err);
-          }
-        }
+      // Everything else is a WebRTC signal (app-level messages that got here don't apply to this socket)
+      if (!protocol.isSignalType(parsed.type)) {
+        return;
       }
+
+      // Stamp the sender - clients can't pick their own "from"
+      const { to: targetId, ...signal } = parsed;
+      signal.from = session.peerId;
+
+      // Signals (offers/answers/candidates) are always addressed - route them only to their recipient
+      const target = roomSessions.find((s) => s.peerId === targetId);
+      if (!target || target === session) {
+        console.warn(`❌ Unknown recipient ${targetId} in room ${roomId}`);
+        return;
+      }
+      deliverSignal(target, signal);
     } catch (err) {
       console.error("❌ Error processing message:", err);
     }
   });
 
-  ws.on("close", () => {
-    const wasHost = hosts[roomId] === ws;
-    connections[roomId] = connections[roomId].filter((c) => c !== ws);
-    
-    // IMPORTANT: Clear stored signals when a client disconnects to prevent stale offers/answers
-    // When they reconnect, the host will generate a fresh offer
-    if (wasHost) {
-      // If host disconnected, clear stored signals (host will generate new offer when reconnecting client joins)
-      delete lastSignals[roomId];
-      delete recentCandidates[roomId];
-      console.log(`🧹 Cleared stored signals and candidates for room "${roomId}" (host disconnected)`);
-    } else {
-      // If client disconnected, also clear stored signals so reconnecting client gets fresh offer from host
-      delete lastSignals[roomId];
-      delete recentCandidates[roomId];
-      console.log(`🧹 Cleared stored signals and candidates for room "${roomId}" (client disconnected - will get fresh offer on reconnect)`);
+  ws.on("close", (code) => {
+    handleDisconnect(ws, code);
+  });
+}
+
+wss.on("connection", handleConnection);
+
+// Heartbeat: ping every socket and terminate the ones that stopped answering
+// Phones that lose network never send a close frame, so without this their sockets stay in the room forever
+const heartbeatInterval = setInterval(() => {
+  const now = Date.now();
+  [...wss.clients, ...pollSockets.values()].forEach((client) => {
+    if (now - client.lastSeen > WS_PING_TIMEOUT) {
+      console.warn(`💀 No pong from ${client.session ? client.session.peerId : "unknown client"} for ${now - client.lastSeen}ms - terminating`);
+      // Run the cleanup right away - "close" may only fire later for a dead connection
+      handleDisconnect(client, 1006);
+      client.terminate();
+      return;
     }
-    
-    if (connections[roomId].length === 0) {
-      delete connections[roomId];
-      delete hosts[roomId]; // Clean up host tracking when room is empty
-    } else {
-      // If the host disconnected, we need to reassign a new host (the first remaining client)
-      if (wasHost) {
-        const remainingClients = connections[roomId];
-        if (remainingClients.length > 0) {
-          hosts[roomId] = remainingClients[0]; // First remaining client becomes host
-          console.log(`👑 Host reassigned for room "${roomId}" (original host disconnected)`);
-        } else {
-          delete hosts[roomId];
-        }
-      }
+    try {
+      client.ping();
+    } catch (err) {
+      console.error("❌ Error sending ping:", err);
     }
-    console.log(`❌ Client left room "${roomId}"`);
   });
+}, WS_PING_INTERVAL);
+
+const idleRoomsInterval = setInterval(closeIdleRooms, ROOM_IDLE_CHECK_INTERVAL);
+const rateBucketPruneInterval = setInterval(pruneUpgradeBuckets, RATE_BUCKET_PRUNE_INTERVAL);
+
+wss.on("close", () => {
+  clearInterval(heartbeatInterval);
+  clearInterval(idleRoomsInterval);
+  clearInterval(rateBucketPruneInterval);
 });